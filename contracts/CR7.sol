@@ -2,14 +2,15 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /// @title CR7 Token
 /// @author Pablo Gianferro
 /// @notice This token is used for swapping with M10 in the SimpleSwap contract
-/// @dev Inherits standard ERC20 functionality from OpenZeppelin
-contract CR7 is ERC20 {
+/// @dev Inherits standard ERC20 and EIP-2612 permit functionality from OpenZeppelin
+contract CR7 is ERC20, ERC20Permit {
     /// @notice Mints 1,000,000 CR7 tokens to the deployer on deployment
-    constructor() ERC20("Cristiano Token", "CR7") {
+    constructor() ERC20("Cristiano Token", "CR7") ERC20Permit("Cristiano Token") {
         _mint(msg.sender, 1_000_000 ether);
     }
 }
\ No newline at end of file
@@ -2,13 +2,15 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /// @title LPToken for SimpleSwap
-/// @notice ERC20-compliant LP token with mint and burnFrom functions restricted to owner
-contract LPToken is ERC20, Ownable {
+/// @notice ERC20-compliant LP token with EIP-2612 permit and mint/burnFrom functions restricted to owner
+contract LPToken is ERC20, ERC20Permit, Ownable {
     constructor(string memory name, string memory symbol,address initialOwner)
         ERC20(name, symbol)
+        ERC20Permit(name)
         Ownable(initialOwner) 
     {}
 
@@ -18,7 +20,9 @@ contract LPToken is ERC20, Ownable {
     }
 
     /// @notice Burns LP tokens from a specified address
+    /// @dev Spends the allowance `from` gave the owner (the pool), set with approve or permit
     function burnFrom(address from, uint256 amount) external onlyOwner {
+        _spendAllowance(from, _msgSender(), amount);
         _burn(from, amount);
     }
 }
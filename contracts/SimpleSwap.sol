@@ -1,15 +1,30 @@
 // SPDX-License-Identifier: MIT
-pragma solidity >0.8.0;
+pragma solidity ^0.8.27;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "./LPToken.sol";
+import "./interfaces/ISimpleSwapCallee.sol";
+
+/// @dev Highest swap fee of a pool in basis points, at file level so SimpleSwapFactory can enforce it too
+uint256 constant MAX_SWAP_FEE_BPS = 100;
 
 /// @title SimpleSwap
 /// @author Pablo Gianferro
 /// @notice A minimalistic Uniswap-like DEX for two ERC20 tokens (tokenA and tokenB).
 /// @dev Manages a liquidity pool with constant product formula and issues ERC20 LP tokens using a separate contract.
-contract SimpleSwap {
+///      The owner can pause swaps and deposits (withdrawals stay open) and turn on a protocol fee.
+///      Every entry point that moves tokens is nonReentrant and writes the reserves before sending tokens out.
+contract SimpleSwap is Ownable2Step, Pausable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+
     /// @notice Address of the LP token contract used to mint/burn liquidity tokens
     LPToken public lpToken;
 
@@ -25,17 +40,65 @@ contract SimpleSwap {
     /// @notice Current reserve amount of token B held by the contract
     uint256 public reserveB;
 
-    /// @notice Address of the contract owner (set at deployment)
-    address public owner;
+    /// @notice Running sum of the token A price (in token B, scaled by 1e18) times the seconds it was in effect
+    /// @dev Meant to be differenced over a time window; overflow wraps around on purpose
+    uint256 public priceACumulativeLast;
+
+    /// @notice Running sum of the token B price (in token A, scaled by 1e18) times the seconds it was in effect
+    /// @dev Meant to be differenced over a time window; overflow wraps around on purpose
+    uint256 public priceBCumulativeLast;
+
+    /// @notice Timestamp of the block where the reserves and accumulators were last updated
+    uint256 public blockTimestampLast;
+
+    /// @notice Fee charged on every swap input, in basis points (30 = 0.3%)
+    uint256 public swapFee;
+
+    /// @notice Receiver of the protocol fee; the fee is off while this is the zero address
+    address public feeTo;
+
+    /// @notice reserveA * reserveB right after the last liquidity event, used to measure fee growth
+    /// @dev Only tracked while the protocol fee is on
+    uint256 public kLast;
+
+    /// @notice Highest swap fee the owner is allowed to set, in basis points
+    uint256 public constant MAX_SWAP_FEE = MAX_SWAP_FEE_BPS;
+
+    /// @notice LP tokens locked forever on the first deposit, so the share price cannot be inflated cheaply
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+
+    /// @notice Address holding the locked MINIMUM_LIQUIDITY (no one has its private key)
+    address public constant DEAD_ADDRESS =
+        0x000000000000000000000000000000000000dEaD;
+
+    /// @dev Basis points denominator used for fee math
+    uint256 private constant FEE_DENOMINATOR = 10_000;
 
     /// @notice Initializes the SimpleSwap contract with the two token addresses and creates LP token instance
+    /// @dev The LP token name and symbol are derived from the pair, e.g. "SimpleSwap M10/CR7 LP" / "SSLP-M10-CR7"
     /// @param _tokenA Address of token A
     /// @param _tokenB Address of token B
-    constructor(address _tokenA, address _tokenB) {
-        lpToken = new LPToken("SimpleSwap LP Token", "SSLP", address(this));
+    /// @param _swapFee Initial swap fee in basis points
+    /// @param initialOwner Address allowed to administer the pool
+    constructor(
+        address _tokenA,
+        address _tokenB,
+        uint256 _swapFee,
+        address initialOwner
+    ) Ownable(initialOwner) {
+        require(_swapFee <= MAX_SWAP_FEE, FeeTooHigh(_swapFee, MAX_SWAP_FEE));
+
+        string memory symbolA = IERC20Metadata(_tokenA).symbol();
+        string memory symbolB = IERC20Metadata(_tokenB).symbol();
+        lpToken = new LPToken(
+            string.concat("SimpleSwap ", symbolA, "/", symbolB, " LP"),
+            string.concat("SSLP-", symbolA, "-", symbolB),
+            address(this)
+        );
+
         tokenA = _tokenA;
         tokenB = _tokenB;
-        owner = msg.sender;
+        swapFee = _swapFee;
     }
 
     /// @notice Struct to group tokenA and tokenB as a pair
@@ -94,6 +157,150 @@ contract SimpleSwap {
         uint256 amountOut
     );
 
+    /// @notice Emitted on every low-level swap, including flash swaps
+    /// @param sender Address that called swap
+    /// @param amountAIn Amount of token A paid into the pool
+    /// @param amountBIn Amount of token B paid into the pool
+    /// @param amountAOut Amount of token A sent out of the pool
+    /// @param amountBOut Amount of token B sent out of the pool
+    /// @param to Recipient of the output tokens
+    event Swap(
+        address indexed sender,
+        uint256 amountAIn,
+        uint256 amountBIn,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        address indexed to
+    );
+
+    /// @notice Emitted when the owner changes the swap fee
+    /// @param oldFee Previous swap fee in basis points
+    /// @param newFee New swap fee in basis points
+    event FeeUpdated(uint256 oldFee, uint256 newFee);
+
+    /// @notice Emitted when the owner changes the protocol fee receiver
+    /// @param oldFeeTo Previous receiver (zero address if the fee was off)
+    /// @param newFeeTo New receiver (zero address turns the fee off)
+    event FeeToUpdated(address indexed oldFeeTo, address indexed newFeeTo);
+
+    /// @notice Thrown when a swap fee above MAX_SWAP_FEE is requested
+    /// @param fee Requested fee in basis points
+    /// @param max Highest allowed fee in basis points
+    error FeeTooHigh(uint256 fee, uint256 max);
+
+    /// @notice Thrown when the transaction is mined after its deadline
+    /// @param deadline Deadline given by the caller
+    /// @param timestamp Timestamp of the block
+    error Expired(uint256 deadline, uint256 timestamp);
+
+    /// @notice Thrown when the tokens given are not this pool's pair (in the expected order)
+    /// @param tokenA Token given as token A
+    /// @param tokenB Token given as token B
+    error InvalidPair(address tokenA, address tokenB);
+
+    /// @notice Thrown when a swap path is not [tokenIn, tokenOut] of this pool
+    error InvalidPath();
+
+    /// @notice Thrown when an input or output amount is zero
+    error ZeroAmount();
+
+    /// @notice Thrown when the amount of token A falls below the caller's minimum
+    /// @param amountA Amount of token A the operation would use or return
+    /// @param amountAMin Minimum accepted by the caller
+    error InsufficientAAmount(uint256 amountA, uint256 amountAMin);
+
+    /// @notice Thrown when the amount of token B falls below the caller's minimum
+    /// @param amountB Amount of token B the operation would use or return
+    /// @param amountBMin Minimum accepted by the caller
+    error InsufficientBAmount(uint256 amountB, uint256 amountBMin);
+
+    /// @notice Thrown when keeping the pool ratio would take more token A than offered
+    /// @param amountA Amount of token A required
+    /// @param amountADesired Amount of token A offered
+    error ExcessiveAAmount(uint256 amountA, uint256 amountADesired);
+
+    /// @notice Thrown when the first deposit does not exceed MINIMUM_LIQUIDITY
+    /// @param liquidity sqrt(amountA * amountB) of the deposit
+    /// @param minimum MINIMUM_LIQUIDITY
+    error InsufficientInitialLiquidity(uint256 liquidity, uint256 minimum);
+
+    /// @notice Thrown when a deposit would mint no LP tokens
+    error InsufficientLiquidityMinted();
+
+    /// @notice Thrown when burning more LP tokens than the caller holds
+    /// @param balance LP tokens held by the caller
+    /// @param liquidity LP tokens requested to burn
+    error InsufficientLPBalance(uint256 balance, uint256 liquidity);
+
+    /// @notice Thrown when the pool cannot cover the requested amounts
+    /// @param reserveA Current reserve of token A
+    /// @param reserveB Current reserve of token B
+    error InsufficientReserves(uint256 reserveA, uint256 reserveB);
+
+    /// @notice Thrown when the requested output is not below the output reserve
+    /// @param amountOut Requested output
+    /// @param reserveOut Current reserve of the output token
+    error InsufficientReserveOut(uint256 amountOut, uint256 reserveOut);
+
+    /// @notice Thrown when a swap would deliver less than the caller's minimum
+    /// @param got Amount of output tokens the swap would deliver
+    /// @param min Minimum accepted by the caller
+    error InsufficientOutputAmount(uint256 got, uint256 min);
+
+    /// @notice Thrown when an exact-output swap would cost more than the caller's maximum
+    /// @param amountIn Amount of input tokens required
+    /// @param amountInMax Maximum accepted by the caller
+    error ExcessiveInputAmount(uint256 amountIn, uint256 amountInMax);
+
+    /// @notice Thrown when less than the quoted input arrives (e.g. a fee-on-transfer token)
+    /// @param received Amount that arrived
+    /// @param expected Amount that was sent
+    error InputNotReceived(uint256 received, uint256 expected);
+
+    /// @notice Thrown when the low-level swap recipient is one of the pool tokens
+    /// @param to Recipient given by the caller
+    error InvalidTo(address to);
+
+    /// @notice Thrown when a low-level swap ends without any tokens paid in
+    error InsufficientInputAmount();
+
+    /// @notice Thrown when the balances after a low-level swap break the fee-adjusted constant product
+    error KInvariant();
+
+    /// @notice Thrown when pricing against an empty pool
+    error EmptyReserves();
+
+    /// @notice Updates the swap fee charged to traders
+    /// @dev Only callable by the owner and capped at MAX_SWAP_FEE
+    /// @param newFee New swap fee in basis points
+    function setSwapFee(uint256 newFee) external onlyOwner {
+        require(newFee <= MAX_SWAP_FEE, FeeTooHigh(newFee, MAX_SWAP_FEE));
+
+        emit FeeUpdated(swapFee, newFee);
+        swapFee = newFee;
+    }
+
+    /// @notice Turns the protocol fee on (or off, with the zero address)
+    /// @dev While on, 1/6 of the growth in sqrt(k) from swap fees is minted to feeTo as LP tokens
+    ///      on the next deposit or withdrawal, as in Uniswap V2
+    /// @param newFeeTo Address receiving the protocol fee
+    function setFeeTo(address newFeeTo) external onlyOwner {
+        emit FeeToUpdated(feeTo, newFeeTo);
+        feeTo = newFeeTo;
+    }
+
+    /// @notice Halts swaps and deposits; withdrawals remain available
+    /// @dev Emits Paused
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /// @notice Resumes swaps and deposits
+    /// @dev Emits Unpaused
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
     /// @notice Adds liquidity to the pool and mints LP tokens
     /// @param tokenA_ Address of token A (must match the pool)
     /// @param tokenB_ Address of token B (must match the pool)
@@ -115,20 +322,86 @@ contract SimpleSwap {
         uint256 amountBMin,
         address to,
         uint256 deadline
-    ) external returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 amountA, uint256 amountB, uint256 liquidity)
+    {
         TokenPair memory tokens = TokenPair(tokenA, tokenB);
 
-        require(deadline > block.timestamp, "Transact expired");
+        require(deadline > block.timestamp, Expired(deadline, block.timestamp));
         require(
             tokenA_ == tokens.tokenA && tokenB_ == tokens.tokenB,
-            "bad pair"
+            InvalidPair(tokenA_, tokenB_)
         );
 
         uint256 _reserveA = reserveA;
         uint256 _reserveB = reserveB;
+
+        // Protocol fee is minted first so new LPs do not share in fees earned before they joined
+        _mintFee(_reserveA, _reserveB);
         uint256 _supply = lpToken.totalSupply();
 
-        if (_reserveA == 0 && _reserveB == 0) {
+        (amountA, amountB) = _quoteLiquidity(
+            amountADesired,
+            amountBDesired,
+            amountAMin,
+            amountBMin,
+            _reserveA,
+            _reserveB,
+            _supply
+        );
+
+        // Credit what actually arrived, so fee-on-transfer tokens cannot inflate the reserves
+        amountA = _pull(tokens.tokenA, amountA);
+        amountB = _pull(tokens.tokenB, amountB);
+
+        if (_supply == 0) {
+            // First add: lock MINIMUM_LIQUIDITY so a dust deposit plus a donation cannot price out later LPs
+            uint256 rootK = Math.sqrt(amountA * amountB);
+            require(
+                rootK > MINIMUM_LIQUIDITY,
+                InsufficientInitialLiquidity(rootK, MINIMUM_LIQUIDITY)
+            );
+            liquidity = rootK - MINIMUM_LIQUIDITY;
+            lpToken.mint(DEAD_ADDRESS, MINIMUM_LIQUIDITY);
+        } else {
+            liquidity = Math.min(
+                (amountA * _supply) / _reserveA,
+                (amountB * _supply) / _reserveB
+            );
+        }
+
+        require(liquidity > 0, InsufficientLiquidityMinted());
+
+        // Update reserves
+        _syncReserves();
+        _updateKLast();
+
+        //Mint LP tokens using ERC20-compliant LPToken contract
+        lpToken.mint(to, liquidity);
+
+        if (_supply == 0) {
+            emit InitialLiquidityAdded(msg.sender, amountA, amountB, liquidity);
+        }
+        emit LiquidityAdded(msg.sender, amountA, amountB, liquidity);
+        return (amountA, amountB, liquidity);
+    }
+
+    /// @dev Picks the amounts of A and B to deposit so the pool ratio is kept, within the caller's minimums.
+    ///      The first deposit is detected by the SSLP supply, like in addLiquidity: reserves can be non-zero
+    ///      before it, since anyone can donate tokens and call sync() on an empty pool.
+    function _quoteLiquidity(
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        uint256 _reserveA,
+        uint256 _reserveB,
+        uint256 _supply
+    ) private pure returns (uint256 amountA, uint256 amountB) {
+        if (_supply == 0) {
             // First add: use amountDesired for A and B
             amountA = amountADesired;
             amountB = amountBDesired;
@@ -139,48 +412,34 @@ contract SimpleSwap {
                     _reserveA;
 
                 if (amountBOptimal <= amountBDesired) {
-                    require(amountBOptimal >= amountBMin, "B low");
+                    require(
+                        amountBOptimal >= amountBMin,
+                        InsufficientBAmount(amountBOptimal, amountBMin)
+                    );
                     amountA = amountADesired;
                     amountB = amountBOptimal;
                 } else {
                     {
                         uint256 amountAOptimal = (amountBDesired * _reserveA) /
                             _reserveB;
-                        require(amountAOptimal <= amountADesired, "A high");
-                        require(amountAOptimal >= amountAMin, "A low");
+                        require(
+                            amountAOptimal <= amountADesired,
+                            ExcessiveAAmount(amountAOptimal, amountADesired)
+                        );
+                        require(
+                            amountAOptimal >= amountAMin,
+                            InsufficientAAmount(amountAOptimal, amountAMin)
+                        );
                         amountA = amountAOptimal;
                         amountB = amountBDesired;
                     }
                 }
             }
         }
-
-        IERC20(tokens.tokenA).transferFrom(msg.sender, address(this), amountA);
-        IERC20(tokens.tokenB).transferFrom(msg.sender, address(this), amountB);
-
-        if (_supply == 0) {
-            liquidity = Math.sqrt(amountA * amountB);
-        } else {
-            liquidity = Math.min(
-                (amountA * _supply) / _reserveA,
-                (amountB * _supply) / _reserveB
-            );
-        }
-
-        require(liquidity > 0, "zero liq");
-
-        // Update reserves
-        reserveA += amountA;
-        reserveB += amountB;
-
-        //Mint LP tokens using ERC20-compliant LPToken contract
-        lpToken.mint(to, liquidity);
-
-        emit LiquidityAdded(msg.sender, amountA, amountB, liquidity);
-        return (amountA, amountB, liquidity);
     }
 
     /// @notice Removes liquidity from the pool and burns LP tokens
+    /// @dev The caller must have approved this contract to spend `liquidity` LP tokens
     /// @param tokenA_ Address of token A (must match the pool)
     /// @param tokenB_ Address of token B (must match the pool)
     /// @param liquidity Amount of LP tokens to burn
@@ -198,38 +457,110 @@ contract SimpleSwap {
         uint256 amountBMin,
         address to,
         uint256 deadline
-    ) external returns (uint256 amountA, uint256 amountB) {
-        require(deadline > block.timestamp, "Transact expired");
+    ) external nonReentrant returns (uint256 amountA, uint256 amountB) {
+        return
+            _removeLiquidity(
+                tokenA_,
+                tokenB_,
+                liquidity,
+                amountAMin,
+                amountBMin,
+                to,
+                deadline
+            );
+    }
+
+    /// @notice Removes liquidity using an EIP-2612 signature instead of a prior LP token approval
+    /// @dev A failing permit is ignored, since anyone can submit a signature seen in the mempool first;
+    ///      the LP token allowance is checked when the tokens are burned either way
+    /// @param tokenA_ Address of token A (must match the pool)
+    /// @param tokenB_ Address of token B (must match the pool)
+    /// @param liquidity Amount of LP tokens to burn
+    /// @param amountAMin Minimum acceptable amount of token A
+    /// @param amountBMin Minimum acceptable amount of token B
+    /// @param to Address to receive the returned tokens
+    /// @param deadline Expiration timestamp for both the permit and the transaction
+    /// @param approveMax Whether the signature approves type(uint256).max instead of `liquidity`
+    /// @param v Signature recovery id
+    /// @param r Signature r value
+    /// @param s Signature s value
+    /// @return amountA Actual amount of token A returned
+    /// @return amountB Actual amount of token B returned
+    function removeLiquidityWithPermit(
+        address tokenA_,
+        address tokenB_,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint256 amountA, uint256 amountB) {
+        uint256 value = approveMax ? type(uint256).max : liquidity;
+        try lpToken.permit(msg.sender, address(this), value, deadline, v, r, s) {} catch {}
+
+        return
+            _removeLiquidity(
+                tokenA_,
+                tokenB_,
+                liquidity,
+                amountAMin,
+                amountBMin,
+                to,
+                deadline
+            );
+    }
+
+    /// @dev Burns the caller's LP tokens and returns their share of both reserves
+    function _removeLiquidity(
+        address tokenA_,
+        address tokenB_,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) private returns (uint256 amountA, uint256 amountB) {
+        require(deadline > block.timestamp, Expired(deadline, block.timestamp));
 
         TokenPair memory tokens = TokenPair(tokenA, tokenB);
         require(
             tokenA_ == tokens.tokenA && tokenB_ == tokens.tokenB,
-            "bad pair"
+            InvalidPair(tokenA_, tokenB_)
         );
 
         uint256 _reserveA = reserveA;
         uint256 _reserveB = reserveB;
+
+        _mintFee(_reserveA, _reserveB);
         uint256 _supply = lpToken.totalSupply();
 
         //Calculates amount of token A and B to return to user
         amountA = (liquidity * _reserveA) / _supply;
         amountB = (liquidity * _reserveB) / _supply;
 
-        require(amountA >= amountAMin, "A < min");
-        require(amountB >= amountBMin, "B < min");
-        require(lpToken.balanceOf(msg.sender) >= liquidity, "LP low");
-        require(_reserveA >= amountA && _reserveB >= amountB, "reserves low");
+        require(amountA >= amountAMin, InsufficientAAmount(amountA, amountAMin));
+        require(amountB >= amountBMin, InsufficientBAmount(amountB, amountBMin));
+        uint256 lpBalance = lpToken.balanceOf(msg.sender);
+        require(lpBalance >= liquidity, InsufficientLPBalance(lpBalance, liquidity));
+        require(
+            _reserveA >= amountA && _reserveB >= amountB,
+            InsufficientReserves(_reserveA, _reserveB)
+        );
 
-        //Burns the LP tokens equivalent to the liquidity param from user
+        //Burns the LP tokens equivalent to the liquidity param from user, spending their allowance
         lpToken.burnFrom(msg.sender, liquidity);
 
-        //Transfers the tokens to user
-        IERC20(tokens.tokenA).transfer(to, amountA);
-        IERC20(tokens.tokenB).transfer(to, amountB);
+        //State, written before any token leaves the pool
+        _update(_reserveA - amountA, _reserveB - amountB);
+        _updateKLast();
 
-        //State
-        reserveA = _reserveA - amountA;
-        reserveB = _reserveB - amountB;
+        //Transfers the tokens to user
+        IERC20(tokens.tokenA).safeTransfer(to, amountA);
+        IERC20(tokens.tokenB).safeTransfer(to, amountB);
 
         emit LiquidityRemoved(msg.sender, amountA, amountB, liquidity);
 
@@ -249,48 +580,309 @@ contract SimpleSwap {
         address[] calldata path,
         address to,
         uint256 deadline
-    ) external returns (uint256[] memory amounts) {
-        require(deadline > block.timestamp, "Transact expired");
-        require(path.length == 2 && path[0] != path[1], "invalid tokens");
-        require(amountIn > 0, "amountIn 0");
+    ) external nonReentrant whenNotPaused returns (uint256[] memory amounts) {
+        return
+            _swapExactTokensForTokens(
+                amountIn,
+                amountOutMin,
+                path,
+                to,
+                deadline
+            );
+    }
+
+    /// @notice Exchanges an exact amount of tokens using an EIP-2612 signature instead of a prior approval.
+    /// @dev The input token (path[0]) must implement EIP-2612 permit. A failing permit is ignored, since anyone can
+    ///      submit a signature seen in the mempool first; the allowance is checked when the input is transferred.
+    /// @param amountIn Amount of input tokens.
+    /// @param amountOutMin: Minimum acceptable number of output tokens.
+    /// @param path: Array of token addresses. (input token, output token)
+    /// @param to: Recipient address.
+    /// @param deadline: Timestamp for both the permit and the transaction.
+    /// @param approveMax: Whether the signature approves type(uint256).max instead of `amountIn`.
+    /// @param v: Signature recovery id.
+    /// @param r: Signature r value.
+    /// @param s: Signature s value.
+    /// @return amounts : Array with input and output amounts.
+    function swapExactTokensForTokensWithPermit(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused returns (uint256[] memory amounts) {
+        uint256 value = approveMax ? type(uint256).max : amountIn;
+        try
+            IERC20Permit(path[0]).permit(
+                msg.sender,
+                address(this),
+                value,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {}
+
+        return
+            _swapExactTokensForTokens(
+                amountIn,
+                amountOutMin,
+                path,
+                to,
+                deadline
+            );
+    }
+
+    /// @dev Quotes an exact-input swap, checks the caller's limits and executes it
+    function _swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) private returns (uint256[] memory amounts) {
+        require(deadline > block.timestamp, Expired(deadline, block.timestamp));
+        require(amountIn > 0, ZeroAmount());
+
+        (uint256 _reserveIn, uint256 _reserveOut) = _getPathReserves(path);
 
+        uint256 amountOut = _getAmountOut(amountIn, _reserveIn, _reserveOut);
+        require(
+            amountOut >= amountOutMin,
+            InsufficientOutputAmount(amountOut, amountOutMin)
+        );
+
+        return _swap(amountIn, amountOut, _reserveIn, _reserveOut, path, to);
+    }
+
+    /// @notice Exchanges as few input tokens as needed to receive an exact amount of output tokens.
+    /// @param amountOut Exact amount of output tokens to receive.
+    /// @param amountInMax: Maximum number of input tokens the caller is willing to pay.
+    /// @param path: Array of token addresses. (input token, output token)
+    /// @param to: Recipient address.
+    /// @param deadline: Timestamp for the transaction.
+    /// @return amounts : Array with input and output amounts.
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external nonReentrant whenNotPaused returns (uint256[] memory amounts) {
+        require(deadline > block.timestamp, Expired(deadline, block.timestamp));
+        require(amountOut > 0, ZeroAmount());
+
+        (uint256 _reserveIn, uint256 _reserveOut) = _getPathReserves(path);
+        require(
+            amountOut < _reserveOut,
+            InsufficientReserveOut(amountOut, _reserveOut)
+        );
+
+        uint256 amountIn = _getAmountIn(amountOut, _reserveIn, _reserveOut);
+        require(
+            amountIn <= amountInMax,
+            ExcessiveInputAmount(amountIn, amountInMax)
+        );
+
+        return _swap(amountIn, amountOut, _reserveIn, _reserveOut, path, to);
+    }
+
+    /// @notice Exchanges an exact amount of tokens where either side may take a fee on transfer.
+    /// @dev Quotes the output from what the pool actually received and checks amountOutMin
+    ///      against what the recipient actually received.
+    /// @param amountIn Amount of input tokens sent by the caller.
+    /// @param amountOutMin: Minimum number of output tokens the recipient must end up with.
+    /// @param path: Array of token addresses. (input token, output token)
+    /// @param to: Recipient address.
+    /// @param deadline: Timestamp for the transaction.
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external nonReentrant whenNotPaused {
+        require(deadline > block.timestamp, Expired(deadline, block.timestamp));
+        require(amountIn > 0, ZeroAmount());
+
+        (uint256 _reserveIn, uint256 _reserveOut) = _getPathReserves(path);
+
+        uint256 amountReceived = _pull(path[0], amountIn);
+        uint256 amountOut = _getAmountOut(amountReceived, _reserveIn, _reserveOut);
+
+        _updateInOut(path[0], _reserveIn + amountReceived, _reserveOut - amountOut);
+
+        uint256 balanceBefore = IERC20(path[1]).balanceOf(to);
+        IERC20(path[1]).safeTransfer(to, amountOut);
+        uint256 amountDelivered = IERC20(path[1]).balanceOf(to) - balanceBefore;
+        require(
+            amountDelivered >= amountOutMin,
+            InsufficientOutputAmount(amountDelivered, amountOutMin)
+        );
+
+        emit TokensSwapped(msg.sender, path[0], amountReceived, path[1], amountOut);
+    }
+
+    /// @notice Forces the reserves to match the token balances held by the pool
+    /// @dev Recovers from tokens sent directly to the pool or from balances shrinking (e.g. rebasing tokens)
+    function sync() external nonReentrant {
+        _syncReserves();
+    }
+
+    /// @notice Sends any tokens held above the reserves to a recipient
+    /// @param to Address receiving the surplus
+    function skim(address to) external nonReentrant {
         TokenPair memory tokens = TokenPair(tokenA, tokenB);
+
+        IERC20(tokens.tokenA).safeTransfer(
+            to,
+            IERC20(tokens.tokenA).balanceOf(address(this)) - reserveA
+        );
+        IERC20(tokens.tokenB).safeTransfer(
+            to,
+            IERC20(tokens.tokenB).balanceOf(address(this)) - reserveB
+        );
+    }
+
+    /// @notice Low-level swap that sends the requested outputs first and checks payment afterwards
+    /// @dev If data is non-empty, `to` is called through ISimpleSwapCallee before the check, which allows
+    ///      flash swaps: borrow, use and repay within the same transaction. The pool's balances must then
+    ///      satisfy the constant product with the swap fee charged on whatever was paid in.
+    ///      Sending before settling is inherent to flash swaps, so nonReentrant is what keeps the
+    ///      callback from re-entering the pool while the reserves are stale.
+    /// @param amountAOut Amount of token A to send out
+    /// @param amountBOut Amount of token B to send out
+    /// @param to Recipient of the output tokens (and callback target when data is non-empty)
+    /// @param data Arbitrary data forwarded to the callback
+    function swap(
+        uint256 amountAOut,
+        uint256 amountBOut,
+        address to,
+        bytes calldata data
+    ) external nonReentrant whenNotPaused {
+        require(amountAOut > 0 || amountBOut > 0, ZeroAmount());
+
         uint256 _reserveA = reserveA;
         uint256 _reserveB = reserveB;
-
         require(
-            (path[0] == tokens.tokenA && path[1] == tokens.tokenB) ||
-                (path[0] == tokens.tokenB && path[1] == tokens.tokenA),
-            "invalid tokens"
+            amountAOut < _reserveA && amountBOut < _reserveB,
+            InsufficientReserves(_reserveA, _reserveB)
         );
 
-        uint256 amountOut;
+        _sendOutputs(amountAOut, amountBOut, to, data);
 
-        if (path[0] == tokens.tokenA) {
-            IERC20(tokens.tokenA).transferFrom(
-                msg.sender,
-                address(this),
-                amountIn
-            );
-            amountOut = (amountIn * _reserveB) / (_reserveA + amountIn);
-            require(amountOut >= amountOutMin, "insufficient amountOut");
-            IERC20(tokens.tokenB).transfer(to, amountOut);
+        (uint256 amountAIn, uint256 amountBIn) = _settleSwap(
+            _reserveA,
+            _reserveB,
+            amountAOut,
+            amountBOut
+        );
 
-            reserveA = _reserveA + amountIn;
-            reserveB = _reserveB - amountOut;
-        } else {
-            IERC20(tokens.tokenB).transferFrom(
+        emit Swap(msg.sender, amountAIn, amountBIn, amountAOut, amountBOut, to);
+    }
+
+    /// @dev Optimistically sends the outputs of a low-level swap and runs the flash swap callback
+    function _sendOutputs(
+        uint256 amountAOut,
+        uint256 amountBOut,
+        address to,
+        bytes calldata data
+    ) private {
+        TokenPair memory tokens = TokenPair(tokenA, tokenB);
+        require(to != tokens.tokenA && to != tokens.tokenB, InvalidTo(to));
+
+        if (amountAOut > 0) IERC20(tokens.tokenA).safeTransfer(to, amountAOut);
+        if (amountBOut > 0) IERC20(tokens.tokenB).safeTransfer(to, amountBOut);
+
+        if (data.length > 0) {
+            ISimpleSwapCallee(to).simpleSwapCall(
                 msg.sender,
-                address(this),
-                amountIn
+                amountAOut,
+                amountBOut,
+                data
             );
-            amountOut = (amountIn * _reserveA) / (_reserveB + amountIn);
-            require(amountOut >= amountOutMin, "insufficient amountOut");
-            IERC20(tokens.tokenA).transfer(to, amountOut);
+        }
+    }
 
-            reserveA = _reserveA - amountOut;
-            reserveB = _reserveB + amountIn;
+    /// @dev Derives what was paid in from the balances, enforces the constant product
+    ///      with the swap fee charged on those inputs, and syncs the reserves
+    function _settleSwap(
+        uint256 _reserveA,
+        uint256 _reserveB,
+        uint256 amountAOut,
+        uint256 amountBOut
+    ) private returns (uint256 amountAIn, uint256 amountBIn) {
+        uint256 balanceA = IERC20(tokenA).balanceOf(address(this));
+        uint256 balanceB = IERC20(tokenB).balanceOf(address(this));
+
+        amountAIn = balanceA > _reserveA - amountAOut
+            ? balanceA - (_reserveA - amountAOut)
+            : 0;
+        amountBIn = balanceB > _reserveB - amountBOut
+            ? balanceB - (_reserveB - amountBOut)
+            : 0;
+        require(amountAIn > 0 || amountBIn > 0, InsufficientInputAmount());
+
+        uint256 balanceAAdjusted = balanceA *
+            FEE_DENOMINATOR -
+            amountAIn *
+            swapFee;
+        uint256 balanceBAdjusted = balanceB *
+            FEE_DENOMINATOR -
+            amountBIn *
+            swapFee;
+        require(
+            balanceAAdjusted * balanceBAdjusted >=
+                _reserveA * _reserveB * FEE_DENOMINATOR * FEE_DENOMINATOR,
+            KInvariant()
+        );
+
+        _update(balanceA, balanceB);
+    }
+
+    /// @dev Validates a two-token swap path and returns the reserves ordered as (in, out)
+    function _getPathReserves(
+        address[] calldata path
+    ) private view returns (uint256 reserveIn, uint256 reserveOut) {
+        require(path.length == 2 && path[0] != path[1], InvalidPath());
+
+        TokenPair memory tokens = TokenPair(tokenA, tokenB);
+
+        require(
+            (path[0] == tokens.tokenA && path[1] == tokens.tokenB) ||
+                (path[0] == tokens.tokenB && path[1] == tokens.tokenA),
+            InvalidPath()
+        );
+
+        if (path[0] == tokens.tokenA) {
+            return (reserveA, reserveB);
         }
+        return (reserveB, reserveA);
+    }
+
+    /// @dev Pulls amountIn of path[0] from the caller, updates reserves and then sends amountOut of path[1].
+    ///      Reverts if less than amountIn arrives, since amountOut was quoted for the full amount.
+    function _swap(
+        uint256 amountIn,
+        uint256 amountOut,
+        uint256 _reserveIn,
+        uint256 _reserveOut,
+        address[] calldata path,
+        address to
+    ) private returns (uint256[] memory amounts) {
+        uint256 amountReceived = _pull(path[0], amountIn);
+        require(
+            amountReceived == amountIn,
+            InputNotReceived(amountReceived, amountIn)
+        );
+
+        _updateInOut(path[0], _reserveIn + amountIn, _reserveOut - amountOut);
+        IERC20(path[1]).safeTransfer(to, amountOut);
 
         amounts = new uint256[](2);
         amounts[0] = amountIn;
@@ -313,14 +905,14 @@ contract SimpleSwap {
         require(
             (tokenA_ == tokens.tokenA && tokenB_ == tokens.tokenB) ||
                 (tokenA_ == tokens.tokenB && tokenB_ == tokens.tokenA),
-            "Invalid tokens"
+            InvalidPair(tokenA_, tokenB_)
         );
 
         //Obtains reserves
         uint256 reserveA_ = reserveA;
         uint256 reserveB_ = reserveB;
 
-        require(reserveA_ > 0, "No A reserve");
+        require(reserveA_ > 0, EmptyReserves());
 
         // Calculates price
         price = (reserveB_ * 1e18) / reserveA_;
@@ -328,7 +920,34 @@ contract SimpleSwap {
         return price;
     }
 
-    /// @notice Calculates how many tokens will be received when exchanging
+    /// @notice Returns the price accumulators as they would be if the reserves were updated right now
+    /// @dev Lets oracles read an up-to-date value without waiting for the next trade
+    /// @return priceACumulative Current value of priceACumulativeLast
+    /// @return priceBCumulative Current value of priceBCumulativeLast
+    /// @return blockTimestamp Current block timestamp
+    function currentCumulativePrices()
+        external
+        view
+        returns (
+            uint256 priceACumulative,
+            uint256 priceBCumulative,
+            uint256 blockTimestamp
+        )
+    {
+        priceACumulative = priceACumulativeLast;
+        priceBCumulative = priceBCumulativeLast;
+        blockTimestamp = block.timestamp;
+
+        uint256 timeElapsed = blockTimestamp - blockTimestampLast;
+        if (timeElapsed > 0 && reserveA != 0 && reserveB != 0) {
+            unchecked {
+                priceACumulative += ((reserveB * 1e18) / reserveA) * timeElapsed;
+                priceBCumulative += ((reserveA * 1e18) / reserveB) * timeElapsed;
+            }
+        }
+    }
+
+    /// @notice Calculates how many tokens will be received when exchanging, after the swap fee
     /// @param amountIn: Amount of input tokens.
     /// @param reserveIn, reserveOut: Current reserves in the contract.
     /// @return amountOut : Amount of tokens to receive.
@@ -336,12 +955,132 @@ contract SimpleSwap {
         uint256 amountIn,
         uint256 reserveIn,
         uint256 reserveOut
-    ) external pure returns (uint256 amountOut) {
-        require(amountIn > 0, "amountIn < 0");
-        require(reserveIn > 0 && reserveOut > 0, "Reserves < 0");
+    ) external view returns (uint256 amountOut) {
+        require(amountIn > 0, ZeroAmount());
+        require(reserveIn > 0 && reserveOut > 0, EmptyReserves());
 
-        amountOut = (amountIn * reserveOut) / (reserveIn + amountIn);
+        amountOut = _getAmountOut(amountIn, reserveIn, reserveOut);
 
         return amountOut;
     }
+
+    /// @notice Calculates how many input tokens are needed to receive an exact output, after the swap fee
+    /// @dev Rounds up, so getAmountOut(getAmountIn(x)) is never below x
+    /// @param amountOut: Amount of output tokens wanted.
+    /// @param reserveIn, reserveOut: Current reserves in the contract.
+    /// @return amountIn : Amount of input tokens required.
+    function getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) external view returns (uint256 amountIn) {
+        require(amountOut > 0, ZeroAmount());
+        require(reserveIn > 0 && reserveOut > 0, EmptyReserves());
+        require(
+            amountOut < reserveOut,
+            InsufficientReserveOut(amountOut, reserveOut)
+        );
+
+        amountIn = _getAmountIn(amountOut, reserveIn, reserveOut);
+
+        return amountIn;
+    }
+
+    /// @dev Constant product output with the swap fee taken from the input amount
+    function _getAmountOut(
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) internal view returns (uint256) {
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - swapFee);
+        return
+            (amountInWithFee * reserveOut) /
+            (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+
+    /// @dev Constant product input required for amountOut, rounded up in favour of the pool
+    function _getAmountIn(
+        uint256 amountOut,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) internal view returns (uint256) {
+        uint256 numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint256 denominator = (reserveOut - amountOut) *
+            (FEE_DENOMINATOR - swapFee);
+        return (numerator / denominator) + 1;
+    }
+
+    /// @dev Writes new reserves, first adding the outgoing prices to the accumulators
+    ///      for every second they were in effect (once per block, like Uniswap V2)
+    function _update(uint256 newReserveA, uint256 newReserveB) private {
+        uint256 timeElapsed = block.timestamp - blockTimestampLast;
+        uint256 _reserveA = reserveA;
+        uint256 _reserveB = reserveB;
+
+        if (timeElapsed > 0 && _reserveA != 0 && _reserveB != 0) {
+            unchecked {
+                priceACumulativeLast += ((_reserveB * 1e18) / _reserveA) * timeElapsed;
+                priceBCumulativeLast += ((_reserveA * 1e18) / _reserveB) * timeElapsed;
+            }
+        }
+
+        reserveA = newReserveA;
+        reserveB = newReserveB;
+        blockTimestampLast = block.timestamp;
+    }
+
+    /// @dev Transfers amount of token from the caller and returns how much actually arrived
+    function _pull(address token, uint256 amount) private returns (uint256) {
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        return IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /// @dev Writes reserves given in swap order, where tokenIn is the token entering the pool
+    function _updateInOut(
+        address tokenIn,
+        uint256 newReserveIn,
+        uint256 newReserveOut
+    ) private {
+        if (tokenIn == tokenA) {
+            _update(newReserveIn, newReserveOut);
+        } else {
+            _update(newReserveOut, newReserveIn);
+        }
+    }
+
+    /// @dev Updates the reserves to the token balances currently held by the pool
+    function _syncReserves() private {
+        _update(
+            IERC20(tokenA).balanceOf(address(this)),
+            IERC20(tokenB).balanceOf(address(this))
+        );
+    }
+
+    /// @dev Mints the protocol's share of the fee growth since kLast to feeTo, as in Uniswap V2.
+    ///      The share is 1/6 of the growth in sqrt(k); turning the fee off clears kLast.
+    function _mintFee(uint256 _reserveA, uint256 _reserveB) private {
+        address _feeTo = feeTo;
+        uint256 _kLast = kLast;
+
+        if (_feeTo == address(0)) {
+            if (_kLast != 0) kLast = 0;
+            return;
+        }
+        if (_kLast == 0) return;
+
+        uint256 rootK = Math.sqrt(_reserveA * _reserveB);
+        uint256 rootKLast = Math.sqrt(_kLast);
+        if (rootK <= rootKLast) return;
+
+        uint256 numerator = lpToken.totalSupply() * (rootK - rootKLast);
+        uint256 denominator = rootK * 5 + rootKLast;
+        uint256 liquidity = numerator / denominator;
+        if (liquidity > 0) lpToken.mint(_feeTo, liquidity);
+    }
+
+    /// @dev Records k after a liquidity event while the protocol fee is on
+    function _updateKLast() private {
+        if (feeTo != address(0)) kLast = reserveA * reserveB;
+    }
 }
@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./SimpleSwap.sol";
+
+/// @title SimpleSwapFactory
+/// @author Pablo Gianferro
+/// @notice Deploys and indexes one SimpleSwap pool per unordered token pair.
+/// @dev Token addresses are sorted so that tokenA < tokenB in every pool, like Uniswap V2's token0/token1.
+contract SimpleSwapFactory is Ownable {
+    /// @notice Swap fee, in basis points, given to newly created pools
+    uint256 public defaultSwapFee;
+
+    /// @notice Pool address for a token pair, registered in both orders
+    mapping(address => mapping(address => address)) public getPair;
+
+    /// @notice Every pool created by this factory, in creation order
+    address[] public allPairs;
+
+    /// @notice Emitted when a new pool is deployed
+    /// @param tokenA Lower of the two token addresses
+    /// @param tokenB Higher of the two token addresses
+    /// @param pair Address of the new SimpleSwap pool
+    /// @param pairCount Number of pools after this one was created
+    event PairCreated(
+        address indexed tokenA,
+        address indexed tokenB,
+        address pair,
+        uint256 pairCount
+    );
+
+    /// @notice Emitted when the owner changes the fee used for new pools
+    /// @param oldFee Previous default swap fee in basis points
+    /// @param newFee New default swap fee in basis points
+    event DefaultSwapFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    /// @notice Thrown when both tokens of a pair are the same
+    /// @param token The repeated token
+    error IdenticalTokens(address token);
+
+    /// @notice Thrown when one of the tokens is the zero address
+    error ZeroAddress();
+
+    /// @notice Thrown when a pool already exists for the pair
+    /// @param pair Address of the existing pool
+    error PairExists(address pair);
+
+    /// @notice Thrown when a default swap fee above SimpleSwap.MAX_SWAP_FEE is requested
+    /// @param fee Requested fee in basis points
+    /// @param max Maximum fee in basis points
+    error FeeTooHigh(uint256 fee, uint256 max);
+
+    /// @notice Initializes the factory
+    /// @param _defaultSwapFee Swap fee, in basis points, for pools created from now on (at most SimpleSwap.MAX_SWAP_FEE)
+    /// @param initialOwner Owner of the factory and of every pool it creates
+    constructor(
+        uint256 _defaultSwapFee,
+        address initialOwner
+    ) Ownable(initialOwner) {
+        _checkSwapFee(_defaultSwapFee);
+        defaultSwapFee = _defaultSwapFee;
+    }
+
+    /// @notice Returns the number of pools created so far
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+
+    /// @notice Deploys a new pool for a token pair
+    /// @param tokenA_ Address of one token of the pair
+    /// @param tokenB_ Address of the other token of the pair
+    /// @return pair Address of the new SimpleSwap pool
+    function createPair(
+        address tokenA_,
+        address tokenB_
+    ) external returns (address pair) {
+        require(tokenA_ != tokenB_, IdenticalTokens(tokenA_));
+
+        (address token0, address token1) = tokenA_ < tokenB_
+            ? (tokenA_, tokenB_)
+            : (tokenB_, tokenA_);
+
+        require(token0 != address(0), ZeroAddress());
+        require(
+            getPair[token0][token1] == address(0),
+            PairExists(getPair[token0][token1])
+        );
+
+        pair = address(new SimpleSwap(token0, token1, defaultSwapFee, owner()));
+
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        allPairs.push(pair);
+
+        emit PairCreated(token0, token1, pair, allPairs.length);
+    }
+
+    /// @notice Updates the swap fee given to pools created from now on
+    /// @dev Existing pools keep their fee. Capped at SimpleSwap.MAX_SWAP_FEE, which every new pool enforces.
+    /// @param newFee New default swap fee in basis points
+    function setDefaultSwapFee(uint256 newFee) external onlyOwner {
+        _checkSwapFee(newFee);
+        emit DefaultSwapFeeUpdated(defaultSwapFee, newFee);
+        defaultSwapFee = newFee;
+    }
+
+    /// @dev Reverts if a default swap fee would make createPair revert
+    function _checkSwapFee(uint256 fee) private pure {
+        require(
+            fee <= MAX_SWAP_FEE_BPS,
+            FeeTooHigh(fee, MAX_SWAP_FEE_BPS)
+        );
+    }
+}
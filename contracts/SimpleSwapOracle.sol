@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "./SimpleSwap.sol";
+
+/// @title SimpleSwapOracle
+/// @author Pablo Gianferro
+/// @notice Time-weighted average price (TWAP) of a SimpleSwap pool over a fixed window.
+/// @dev Stores one observation of the pool's cumulative prices and, once the window has passed,
+///      averages the difference. Moving the spot price for one block barely changes the result.
+contract SimpleSwapOracle {
+    /// @notice Pool whose price accumulators are observed
+    SimpleSwap public immutable pool;
+
+    /// @notice Token A of the observed pool
+    address public immutable tokenA;
+
+    /// @notice Token B of the observed pool
+    address public immutable tokenB;
+
+    /// @notice Minimum number of seconds between two updates
+    uint256 public immutable windowSize;
+
+    /// @notice Pool's priceACumulativeLast at the last observation
+    uint256 public priceACumulativeLast;
+
+    /// @notice Pool's priceBCumulativeLast at the last observation
+    uint256 public priceBCumulativeLast;
+
+    /// @notice Timestamp of the last observation
+    uint256 public blockTimestampLast;
+
+    /// @notice Average price of token A in token B over the last window, scaled by 1e18
+    uint256 public priceAAverage;
+
+    /// @notice Average price of token B in token A over the last window, scaled by 1e18
+    uint256 public priceBAverage;
+
+    /// @notice Emitted when a new window is recorded
+    /// @param priceAAverage Average price of token A in token B, scaled by 1e18
+    /// @param priceBAverage Average price of token B in token A, scaled by 1e18
+    /// @param timeElapsed Length of the averaged window in seconds
+    event OracleUpdated(
+        uint256 priceAAverage,
+        uint256 priceBAverage,
+        uint256 timeElapsed
+    );
+
+    /// @notice Thrown when the oracle is deployed with a zero-length window
+    error ZeroWindow();
+
+    /// @notice Thrown when the observed pool has no liquidity yet
+    error NoReserves();
+
+    /// @notice Thrown when update is called before a full window has passed
+    /// @param timeElapsed Seconds since the last observation
+    /// @param windowSize Seconds required between observations
+    error WindowNotElapsed(uint256 timeElapsed, uint256 windowSize);
+
+    /// @notice Thrown when consulting before the first window has been recorded
+    error NotUpdated();
+
+    /// @notice Thrown when consulting a token that is not in the pool
+    /// @param token Token given by the caller
+    error InvalidToken(address token);
+
+    /// @notice Initializes the oracle and takes its first observation
+    /// @param _pool Address of the SimpleSwap pool to observe
+    /// @param _windowSize Minimum length, in seconds, of each averaged window
+    constructor(address _pool, uint256 _windowSize) {
+        require(_windowSize > 0, ZeroWindow());
+
+        pool = SimpleSwap(_pool);
+        tokenA = pool.tokenA();
+        tokenB = pool.tokenB();
+        windowSize = _windowSize;
+
+        require(pool.reserveA() > 0 && pool.reserveB() > 0, NoReserves());
+
+        (
+            priceACumulativeLast,
+            priceBCumulativeLast,
+            blockTimestampLast
+        ) = pool.currentCumulativePrices();
+    }
+
+    /// @notice Averages the pool price since the last observation and starts a new window
+    /// @dev Reverts until at least windowSize seconds have passed since the last update
+    function update() external {
+        (
+            uint256 priceACumulative,
+            uint256 priceBCumulative,
+            uint256 blockTimestamp
+        ) = pool.currentCumulativePrices();
+
+        uint256 timeElapsed = blockTimestamp - blockTimestampLast;
+        require(
+            timeElapsed >= windowSize,
+            WindowNotElapsed(timeElapsed, windowSize)
+        );
+
+        // Accumulators wrap around on overflow, so the difference is taken unchecked
+        unchecked {
+            priceAAverage = (priceACumulative - priceACumulativeLast) / timeElapsed;
+            priceBAverage = (priceBCumulative - priceBCumulativeLast) / timeElapsed;
+        }
+
+        priceACumulativeLast = priceACumulative;
+        priceBCumulativeLast = priceBCumulative;
+        blockTimestampLast = blockTimestamp;
+
+        emit OracleUpdated(priceAAverage, priceBAverage, timeElapsed);
+    }
+
+    /// @notice Converts an amount of one pool token into the other at the average price
+    /// @param token Address of the token being priced (token A or token B)
+    /// @param amountIn Amount of that token
+    /// @return amountOut Equivalent amount of the other token
+    function consult(
+        address token,
+        uint256 amountIn
+    ) external view returns (uint256 amountOut) {
+        require(priceAAverage > 0, NotUpdated());
+
+        if (token == tokenA) {
+            amountOut = (amountIn * priceAAverage) / 1e18;
+        } else {
+            require(token == tokenB, InvalidToken(token));
+            amountOut = (amountIn * priceBAverage) / 1e18;
+        }
+    }
+}
@@ -0,0 +1,250 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./SimpleSwap.sol";
+import "./SimpleSwapFactory.sol";
+
+/// @title SimpleSwapRouter
+/// @author Pablo Gianferro
+/// @notice Swaps along paths of any length by chaining the SimpleSwap pools registered in a factory.
+/// @dev Input tokens are pulled from the user once, into the router, which then trades hop by hop.
+///      Intermediate tokens stay in the router between hops and only the last pool pays `to`.
+contract SimpleSwapRouter {
+    using SafeERC20 for IERC20;
+
+    /// @notice Factory used to look up the pool of every hop
+    SimpleSwapFactory public immutable factory;
+
+    /// @notice Thrown when the transaction is mined after its deadline
+    /// @param deadline Deadline given by the caller
+    /// @param timestamp Timestamp of the block
+    error Expired(uint256 deadline, uint256 timestamp);
+
+    /// @notice Thrown when a path has fewer than two tokens
+    error InvalidPath();
+
+    /// @notice Thrown when a hop of the path has no pool in the factory
+    /// @param tokenIn Input token of the hop
+    /// @param tokenOut Output token of the hop
+    error PairMissing(address tokenIn, address tokenOut);
+
+    /// @notice Thrown when the final output falls below the caller's minimum
+    /// @param got Amount of output tokens the swap would deliver
+    /// @param min Minimum accepted by the caller
+    error InsufficientOutputAmount(uint256 got, uint256 min);
+
+    /// @notice Thrown when an exact-output swap would cost more than the caller's maximum
+    /// @param amountIn Amount of input tokens required
+    /// @param amountInMax Maximum accepted by the caller
+    error ExcessiveInputAmount(uint256 amountIn, uint256 amountInMax);
+
+    /// @notice Initializes the router
+    /// @param _factory Address of the SimpleSwapFactory holding the pools
+    constructor(address _factory) {
+        factory = SimpleSwapFactory(_factory);
+    }
+
+    /// @notice Sells an exact amount of path[0] for as much of the last token in the path as possible
+    /// @param amountIn Amount of input tokens.
+    /// @param amountOutMin: Minimum acceptable number of output tokens.
+    /// @param path: Array of token addresses, from input token to output token.
+    /// @param to: Recipient address.
+    /// @param deadline: Timestamp for the transaction.
+    /// @return amounts : Amount entering every hop, followed by the final output amount.
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(deadline > block.timestamp, Expired(deadline, block.timestamp));
+
+        amounts = getAmountsOut(amountIn, path);
+        require(
+            amounts[amounts.length - 1] >= amountOutMin,
+            InsufficientOutputAmount(amounts[amounts.length - 1], amountOutMin)
+        );
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        _swap(amounts, path, to, deadline, false);
+    }
+
+    /// @notice Buys an exact amount of the last token in the path, paying as little of path[0] as possible
+    /// @param amountOut Exact amount of output tokens to receive.
+    /// @param amountInMax: Maximum number of input tokens the caller is willing to pay.
+    /// @param path: Array of token addresses, from input token to output token.
+    /// @param to: Recipient address.
+    /// @param deadline: Timestamp for the transaction.
+    /// @return amounts : Amount entering every hop, followed by the final output amount.
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(deadline > block.timestamp, Expired(deadline, block.timestamp));
+
+        amounts = getAmountsIn(amountOut, path);
+        require(
+            amounts[0] <= amountInMax,
+            ExcessiveInputAmount(amounts[0], amountInMax)
+        );
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amounts[0]);
+        _swap(amounts, path, to, deadline, true);
+    }
+
+    /// @notice Sells an exact amount of path[0] along a path where any token may take a fee on transfer
+    /// @dev Each hop trades whatever the router actually holds of that token, and amountOutMin is
+    ///      checked against what `to` actually received. No amounts are returned since they are not known upfront.
+    /// @param amountIn Amount of input tokens sent by the caller.
+    /// @param amountOutMin: Minimum number of output tokens the recipient must end up with.
+    /// @param path: Array of token addresses, from input token to output token.
+    /// @param to: Recipient address.
+    /// @param deadline: Timestamp for the transaction.
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external {
+        require(deadline > block.timestamp, Expired(deadline, block.timestamp));
+        require(path.length >= 2, InvalidPath());
+
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint256 balanceBefore = tokenOut.balanceOf(to);
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+
+        address[] memory hop = new address[](2);
+
+        for (uint256 i; i < path.length - 1; i++) {
+            (SimpleSwap pool, , ) = _getPool(path[i], path[i + 1]);
+            address recipient = i < path.length - 2 ? address(this) : to;
+            uint256 amountHop = IERC20(path[i]).balanceOf(address(this));
+
+            hop[0] = path[i];
+            hop[1] = path[i + 1];
+
+            IERC20(path[i]).forceApprove(address(pool), amountHop);
+            pool.swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountHop,
+                0,
+                hop,
+                recipient,
+                deadline
+            );
+        }
+
+        uint256 amountDelivered = tokenOut.balanceOf(to) - balanceBefore;
+        require(
+            amountDelivered >= amountOutMin,
+            InsufficientOutputAmount(amountDelivered, amountOutMin)
+        );
+    }
+
+    /// @notice Quotes every hop of a path for an exact input amount
+    /// @param amountIn Amount of path[0] sold
+    /// @param path Array of token addresses, from input token to output token
+    /// @return amounts Amount entering every hop, followed by the final output amount
+    function getAmountsOut(
+        uint256 amountIn,
+        address[] calldata path
+    ) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, InvalidPath());
+
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+
+        for (uint256 i; i < path.length - 1; i++) {
+            (SimpleSwap pool, uint256 reserveIn, uint256 reserveOut) = _getPool(
+                path[i],
+                path[i + 1]
+            );
+            amounts[i + 1] = pool.getAmountOut(amounts[i], reserveIn, reserveOut);
+        }
+    }
+
+    /// @notice Quotes every hop of a path, backwards, for an exact output amount
+    /// @param amountOut Amount of the last token in the path to receive
+    /// @param path Array of token addresses, from input token to output token
+    /// @return amounts Amount entering every hop, followed by the final output amount
+    function getAmountsIn(
+        uint256 amountOut,
+        address[] calldata path
+    ) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, InvalidPath());
+
+        amounts = new uint256[](path.length);
+        amounts[amounts.length - 1] = amountOut;
+
+        for (uint256 i = path.length - 1; i > 0; i--) {
+            (SimpleSwap pool, uint256 reserveIn, uint256 reserveOut) = _getPool(
+                path[i - 1],
+                path[i]
+            );
+            amounts[i - 1] = pool.getAmountIn(amounts[i], reserveIn, reserveOut);
+        }
+    }
+
+    /// @dev Returns the pool for a hop and its reserves ordered as (in, out)
+    function _getPool(
+        address tokenIn,
+        address tokenOut
+    ) private view returns (SimpleSwap pool, uint256 reserveIn, uint256 reserveOut) {
+        address pair = factory.getPair(tokenIn, tokenOut);
+        require(pair != address(0), PairMissing(tokenIn, tokenOut));
+
+        pool = SimpleSwap(pair);
+        if (tokenIn == pool.tokenA()) {
+            (reserveIn, reserveOut) = (pool.reserveA(), pool.reserveB());
+        } else {
+            (reserveIn, reserveOut) = (pool.reserveB(), pool.reserveA());
+        }
+    }
+
+    /// @dev Trades amounts[i] of path[i] for amounts[i + 1] of path[i + 1] on every hop.
+    ///      Exact-output swaps use the pool's exact-output function so no dust is left in the router.
+    function _swap(
+        uint256[] memory amounts,
+        address[] calldata path,
+        address to,
+        uint256 deadline,
+        bool exactOutput
+    ) private {
+        address[] memory hop = new address[](2);
+
+        for (uint256 i; i < path.length - 1; i++) {
+            address pool = factory.getPair(path[i], path[i + 1]);
+            address recipient = i < path.length - 2 ? address(this) : to;
+
+            hop[0] = path[i];
+            hop[1] = path[i + 1];
+
+            IERC20(path[i]).forceApprove(pool, amounts[i]);
+
+            if (exactOutput) {
+                SimpleSwap(pool).swapTokensForExactTokens(
+                    amounts[i + 1],
+                    amounts[i],
+                    hop,
+                    recipient,
+                    deadline
+                );
+            } else {
+                SimpleSwap(pool).swapExactTokensForTokens(
+                    amounts[i],
+                    amounts[i + 1],
+                    hop,
+                    recipient,
+                    deadline
+                );
+            }
+        }
+    }
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../SimpleSwap.sol";
+import "../interfaces/ISimpleSwapCallee.sol";
+
+/// @title FlashBorrower
+/// @author Pablo Gianferro
+/// @notice Sample flash swap borrower: borrows one token from a SimpleSwap pool and repays it in the same transaction.
+/// @dev A real borrower would run its arbitrage or liquidation inside simpleSwapCall before repaying.
+///      The repayment must cover the swap fee: repay >= amount * 10_000 / (10_000 - swapFee), rounded up.
+///      Only the owner can borrow, since each loan spends the fee from this contract's balance.
+contract FlashBorrower is ISimpleSwapCallee, Ownable {
+    using SafeERC20 for IERC20;
+
+    /// @notice Pool this contract borrows from
+    SimpleSwap public immutable pool;
+
+    /// @notice Emitted inside the callback, while the borrowed tokens are held
+    /// @param token Address of the borrowed token
+    /// @param amount Amount borrowed
+    /// @param repayAmount Amount sent back to the pool
+    event Borrowed(address token, uint256 amount, uint256 repayAmount);
+
+    /// @notice Thrown when the callback is not called by the pool
+    /// @param caller Address that called simpleSwapCall
+    error NotPool(address caller);
+
+    /// @notice Thrown when the flash swap was not started by this contract
+    /// @param sender Address that called swap on the pool
+    error NotInitiator(address sender);
+
+    /// @param _pool Address of the SimpleSwap pool to borrow from
+    /// @param initialOwner Only account allowed to start a flash borrow
+    constructor(address _pool, address initialOwner) Ownable(initialOwner) {
+        pool = SimpleSwap(_pool);
+    }
+
+    /// @notice Borrows `amount` of `token` and repays `repayAmount` of the same token
+    /// @dev This contract must already hold repayAmount - amount to cover the fee
+    /// @param token Pool token to borrow
+    /// @param amount Amount to borrow
+    /// @param repayAmount Amount to pay back during the callback
+    function flashBorrow(
+        address token,
+        uint256 amount,
+        uint256 repayAmount
+    ) external onlyOwner {
+        (uint256 amountAOut, uint256 amountBOut) = token == pool.tokenA()
+            ? (amount, uint256(0))
+            : (uint256(0), amount);
+
+        pool.swap(
+            amountAOut,
+            amountBOut,
+            address(this),
+            abi.encode(token, repayAmount)
+        );
+    }
+
+    /// @inheritdoc ISimpleSwapCallee
+    function simpleSwapCall(
+        address sender,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        bytes calldata data
+    ) external {
+        require(msg.sender == address(pool), NotPool(msg.sender));
+        require(sender == address(this), NotInitiator(sender));
+
+        (address token, uint256 repayAmount) = abi.decode(
+            data,
+            (address, uint256)
+        );
+
+        emit Borrowed(token, amountAOut + amountBOut, repayAmount);
+
+        IERC20(token).safeTransfer(msg.sender, repayAmount);
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity >0.8.0;
+
+/// @title ISimpleSwapCallee
+/// @author Pablo Gianferro
+/// @notice Callback implemented by contracts that borrow from a SimpleSwap pool through a flash swap
+interface ISimpleSwapCallee {
+    /// @notice Called by the pool after sending the requested tokens and before checking the invariant
+    /// @dev The pool must hold enough tokens to satisfy the constant product (plus fee) when this returns
+    /// @param sender Address that called SimpleSwap.swap
+    /// @param amountAOut Amount of token A sent to the borrower
+    /// @param amountBOut Amount of token B sent to the borrower
+    /// @param data Arbitrary data forwarded from SimpleSwap.swap
+    function simpleSwapCall(
+        address sender,
+        uint256 amountAOut,
+        uint256 amountBOut,
+        bytes calldata data
+    ) external;
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title FeeOnTransferToken
+/// @author Pablo Gianferro
+/// @notice Test-only deflationary token that burns 1% of every transfer
+/// @dev Used to check that SimpleSwap accounts for what actually arrives, not the nominal amount
+contract FeeOnTransferToken is ERC20 {
+    /// @notice Share of each transfer that is burned, in basis points
+    uint256 public constant TRANSFER_FEE = 100;
+
+    /// @notice Mints 1,000,000 FOT tokens to the deployer on deployment
+    constructor() ERC20("Fee On Transfer Token", "FOT") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+
+    /// @dev Burns TRANSFER_FEE of every transfer between two accounts; mints and burns are untouched
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint256 fee = (value * TRANSFER_FEE) / 10_000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+        super._update(from, to, value);
+    }
+}
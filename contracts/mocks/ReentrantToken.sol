@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title ReentrantToken
+/// @author Pablo Gianferro
+/// @notice Test-only ERC777-like token that calls back into a target on every transfer
+/// @dev Mimics a tokensToSend/tokensReceived hook controlled by an attacker. The hook fires once per
+///      transfer between two accounts, bubbles up any revert and keeps the returned data for inspection.
+contract ReentrantToken is ERC20 {
+    /// @notice Contract called back on every transfer (no hook while this is the zero address)
+    address public hookTarget;
+
+    /// @notice Calldata sent to hookTarget
+    bytes public hookData;
+
+    /// @notice Data returned by the last hook call
+    bytes public lastReturnData;
+
+    /// @dev Stops the hook from firing again for transfers made inside the hook
+    bool private _inHook;
+
+    /// @notice Mints 1,000,000 RNT tokens to the deployer on deployment
+    constructor() ERC20("Reentrant Token", "RNT") {
+        _mint(msg.sender, 1_000_000 ether);
+    }
+
+    /// @notice Sets the call made on every transfer
+    /// @param target Contract to call (zero address disables the hook)
+    /// @param data Calldata for the call
+    function setHook(address target, bytes calldata data) external {
+        hookTarget = target;
+        hookData = data;
+    }
+
+    /// @dev Moves the tokens and then runs the hook, like ERC777 does after updating balances
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+
+        if (hookTarget == address(0) || _inHook || from == address(0) || to == address(0)) {
+            return;
+        }
+
+        _inHook = true;
+        (bool success, bytes memory returnData) = hookTarget.call(hookData);
+        if (!success) {
+            assembly {
+                revert(add(returnData, 32), mload(returnData))
+            }
+        }
+        lastReturnData = returnData;
+        _inHook = false;
+    }
+}
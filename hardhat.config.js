@@ -7,7 +7,13 @@ const ETHERSCAN_API_KEY = vars.get("ETHERSCAN_API_KEY"); //VERIFICAR EL CONTRATO
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // SimpleSwapFactory embeds the SimpleSwap and LPToken bytecode
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
   networks: {
     sepolia: {
       url: INFURA_NODO,
@@ -1,13 +1,19 @@
 // ignition/modules/SimpleSwap.js
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 
-const SimpleSwapModule = buildModule("SimpleSwapModule", (deployer) => {
-  const tokenA = "0xE893eB464b251d3174f4E2210aB537918cC4FFF6"; 
-  const tokenB = "0x18d27f72Bc6B7CE5cf1998d4e4fA746630cA3C40";
+// Token addresses come from a parameters file, e.g. ignition/parameters/sepolia.json.
+// Named SimpleSwapPoolModule because the Sepolia journal keeps SimpleSwapModule#SimpleSwap with the
+// constructor of the first pool, which a changed future under the same id would fail to reconcile with
+const SimpleSwapPoolModule = buildModule("SimpleSwapPoolModule", (deployer) => {
+  const tokenA = deployer.getParameter("tokenA");
+  const tokenB = deployer.getParameter("tokenB");
+  const swapFee = deployer.getParameter("swapFee", 30); // 0.3% in basis points
 
-  const swap = deployer.contract("SimpleSwap", [tokenA, tokenB]);
+  const owner = deployer.getAccount(0);
+
+  const swap = deployer.contract("SimpleSwap", [tokenA, tokenB, swapFee, owner]);
 
   return { swap };
 });
 
-module.exports = SimpleSwapModule;
\ No newline at end of file
+module.exports = SimpleSwapPoolModule;
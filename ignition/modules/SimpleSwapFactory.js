@@ -0,0 +1,13 @@
+// ignition/modules/SimpleSwapFactory.js
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const SimpleSwapFactoryModule = buildModule("SimpleSwapFactoryModule", (deployer) => {
+  const defaultSwapFee = 30; // 0.3% in basis points
+  const owner = deployer.getAccount(0);
+
+  const factory = deployer.contract("SimpleSwapFactory", [defaultSwapFee, owner]);
+
+  return { factory };
+});
+
+module.exports = SimpleSwapFactoryModule;
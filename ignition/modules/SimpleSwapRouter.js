@@ -0,0 +1,13 @@
+// ignition/modules/SimpleSwapRouter.js
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapFactoryModule = require("./SimpleSwapFactory");
+
+const SimpleSwapRouterModule = buildModule("SimpleSwapRouterModule", (deployer) => {
+  const { factory } = deployer.useModule(SimpleSwapFactoryModule);
+
+  const router = deployer.contract("SimpleSwapRouter", [factory]);
+
+  return { factory, router };
+});
+
+module.exports = SimpleSwapRouterModule;
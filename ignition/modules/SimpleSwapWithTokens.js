@@ -0,0 +1,30 @@
+// ignition/modules/SimpleSwapWithTokens.js
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Deploys fresh M10 and CR7 tokens with the pool and seeds it from the deployer,
+// for networks where the tokens do not exist yet (e.g. a local Hardhat node)
+const SimpleSwapWithTokensModule = buildModule("SimpleSwapWithTokensModule", (deployer) => {
+  const swapFee = deployer.getParameter("swapFee", 30); // 0.3% in basis points
+  const seedAmountA = deployer.getParameter("seedAmountA", 10_000n * 10n ** 18n);
+  const seedAmountB = deployer.getParameter("seedAmountB", 10_000n * 10n ** 18n);
+  const seedDeadline = deployer.getParameter("seedDeadline", 4_102_444_800); // 2100-01-01
+
+  const owner = deployer.getAccount(0);
+
+  const tokenA = deployer.contract("M10");
+  const tokenB = deployer.contract("CR7");
+  const swap = deployer.contract("SimpleSwap", [tokenA, tokenB, swapFee, owner]);
+
+  const approveA = deployer.call(tokenA, "approve", [swap, seedAmountA], { id: "approveM10" });
+  const approveB = deployer.call(tokenB, "approve", [swap, seedAmountB], { id: "approveCR7" });
+  deployer.call(
+    swap,
+    "addLiquidity",
+    [tokenA, tokenB, seedAmountA, seedAmountB, 0, 0, owner, seedDeadline],
+    { after: [approveA, approveB] }
+  );
+
+  return { tokenA, tokenB, swap };
+});
+
+module.exports = SimpleSwapWithTokensModule;
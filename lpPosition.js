@@ -0,0 +1,159 @@
+/**
+ * @file lpPosition.js
+ * @description Pure math for the LP position tracker: cost basis, impermanent loss and fees earned
+ * of a SimpleSwap liquidity position, from the account's LiquidityAdded/LiquidityRemoved events and
+ * the current pool state. Loaded by index.html as the global `LPPosition`, and by the unit tests
+ * through require(). All amounts are bigints in wei; values are expressed in token B.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LPPosition = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  /** Fixed-point scale of ratios (1e18). */
+  const SCALE = 10n ** 18n;
+
+  /** Cost basis of an account without liquidity. */
+  const EMPTY_BASIS = { liquidity: 0n, costA: 0n, costB: 0n, sqrtKPerShare: 0n };
+
+  /**
+   * Integer square root (floor), by Newton's method.
+   * @param {bigint} value Non-negative integer
+   * @returns {bigint}
+   */
+  function sqrt(value) {
+    if (value < 0n) throw new RangeError("sqrt of a negative number");
+    if (value < 2n) return value;
+
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+      x = y;
+      y = (x + value / x) / 2n;
+    }
+    return x;
+  }
+
+  /**
+   * Returns sqrt(k) per SSLP of a pool, scaled by 1e18. It only grows through swap fees, so its
+   * growth between a deposit and now measures the fees earned by that deposit.
+   * @param {bigint} amountA Reserve (or deposit) of token A
+   * @param {bigint} amountB Reserve (or deposit) of token B
+   * @param {bigint} liquidity SSLP supply (or SSLP minted for the deposit)
+   */
+  function sqrtKPerShare(amountA, amountB, liquidity) {
+    return liquidity > 0n ? sqrt(amountA * amountB) * SCALE / liquidity : 0n;
+  }
+
+  /**
+   * Applies one liquidity event to a cost basis, with average cost accounting.
+   * A deposit adds its tokens to the cost and averages its sqrt(k) per SSLP into the basis, weighted by
+   * the SSLP minted. A withdrawal removes the withdrawn share of the cost and keeps the averages.
+   * @param {{ liquidity: bigint, costA: bigint, costB: bigint, sqrtKPerShare: bigint }} basis Current basis
+   * @param {{ type: "add"|"remove", amountA: bigint, amountB: bigint, liquidity: bigint }} event Liquidity event
+   * @returns {{ liquidity: bigint, costA: bigint, costB: bigint, sqrtKPerShare: bigint }} New basis
+   */
+  function applyLiquidityEvent(basis, event) {
+    if (event.type === "add") {
+      const liquidity = basis.liquidity + event.liquidity;
+      if (liquidity === 0n) return basis;
+
+      const entry = sqrtKPerShare(event.amountA, event.amountB, event.liquidity);
+      return {
+        liquidity,
+        costA: basis.costA + event.amountA,
+        costB: basis.costB + event.amountB,
+        sqrtKPerShare: (basis.sqrtKPerShare * basis.liquidity + entry * event.liquidity) / liquidity
+      };
+    }
+
+    if (event.type === "remove") {
+      // SSLP received by transfer has no cost basis, so it can't be withdrawn from it
+      if (basis.liquidity === 0n) return basis;
+      const burned = event.liquidity > basis.liquidity ? basis.liquidity : event.liquidity;
+
+      const liquidity = basis.liquidity - burned;
+      return {
+        liquidity,
+        costA: basis.costA * liquidity / basis.liquidity,
+        costB: basis.costB * liquidity / basis.liquidity,
+        sqrtKPerShare: liquidity > 0n ? basis.sqrtKPerShare : 0n
+      };
+    }
+
+    throw new Error(`Unknown liquidity event type: ${event.type}`);
+  }
+
+  /**
+   * Builds the cost basis of an account from its liquidity events.
+   * @param {Array<{ type: "add"|"remove", amountA: bigint, amountB: bigint, liquidity: bigint }>} events Oldest first
+   */
+  function buildCostBasis(events) {
+    return events.reduce(applyLiquidityEvent, EMPTY_BASIS);
+  }
+
+  /**
+   * Computes an LP position from the account's liquidity events and the current pool state.
+   * When the SSLP balance differs from the SSLP tracked by the events (transfers), the cost basis is
+   * scaled to the balance.
+   * @param {object} params
+   * @param {Array<object>} params.events Liquidity events of the account, oldest first
+   * @param {bigint} params.lpBalance Current SSLP balance of the account
+   * @param {bigint} params.reserveA Current reserve of token A
+   * @param {bigint} params.reserveB Current reserve of token B
+   * @param {bigint} params.totalSupply Current SSLP supply
+   * @returns {{
+   *   liquidity: bigint, underlyingA: bigint, underlyingB: bigint, costA: bigint, costB: bigint,
+   *   price: bigint, positionValue: bigint, holdValue: bigint, feesA: bigint, feesB: bigint,
+   *   feesValue: bigint, impermanentLoss: bigint, impermanentLossBps: bigint
+   * }} `price` is token B per token A scaled by 1e18; values are in token B; `impermanentLoss` is
+   *   the value without fees minus the hold value (negative for a loss) and `impermanentLossBps` the same in basis points
+   */
+  function computePosition({ events, lpBalance, reserveA, reserveB, totalSupply }) {
+    const basis = buildCostBasis(events);
+    const liquidity = lpBalance;
+
+    const scaleToBalance = (amount) => basis.liquidity > 0n ? amount * liquidity / basis.liquidity : 0n;
+    const costA = scaleToBalance(basis.costA);
+    const costB = scaleToBalance(basis.costB);
+
+    const underlyingA = totalSupply > 0n ? liquidity * reserveA / totalSupply : 0n;
+    const underlyingB = totalSupply > 0n ? liquidity * reserveB / totalSupply : 0n;
+    const price = reserveA > 0n ? reserveB * SCALE / reserveA : 0n;
+
+    const valueOf = (amountA, amountB) => amountA * price / SCALE + amountB;
+    const positionValue = valueOf(underlyingA, underlyingB);
+    const holdValue = valueOf(costA, costB);
+
+    // Share of the underlying that comes from fees: 1 - (sqrt(k) per SSLP at deposit / now)
+    const currentSqrtKPerShare = sqrtKPerShare(reserveA, reserveB, totalSupply);
+    const feeShare = basis.sqrtKPerShare > 0n && currentSqrtKPerShare > basis.sqrtKPerShare
+      ? SCALE - basis.sqrtKPerShare * SCALE / currentSqrtKPerShare
+      : 0n;
+    const feesA = underlyingA * feeShare / SCALE;
+    const feesB = underlyingB * feeShare / SCALE;
+    const feesValue = valueOf(feesA, feesB);
+
+    const impermanentLoss = positionValue - feesValue - holdValue;
+
+    return {
+      liquidity,
+      underlyingA,
+      underlyingB,
+      costA,
+      costB,
+      price,
+      positionValue,
+      holdValue,
+      feesA,
+      feesB,
+      feesValue,
+      impermanentLoss,
+      impermanentLossBps: holdValue > 0n ? impermanentLoss * 10000n / holdValue : 0n
+    };
+  }
+
+  return { sqrt, sqrtKPerShare, applyLiquidityEvent, buildCostBasis, computePosition };
+});
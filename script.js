@@ -5,381 +5,2245 @@
  * All comments and variables follow English naming conventions and good practices.
  */
 
-const CONTRACT_ADDRESS = "0x07075A92C3aafc147D58885A5F4B539EDec292aB";
-
-const CONTRACT_ABI = [
-  {
-    "inputs": [
-      { "internalType": "address", "name": "_tokenA", "type": "address" },
-      { "internalType": "address", "name": "_tokenB", "type": "address" }
-    ],
-    "stateMutability": "nonpayable",
-    "type": "constructor"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      { "indexed": true, "internalType": "address", "name": "provider", "type": "address" },
-      { "indexed": false, "internalType": "uint256", "name": "amountA", "type": "uint256" },
-      { "indexed": false, "internalType": "uint256", "name": "amountB", "type": "uint256" },
-      { "indexed": false, "internalType": "uint256", "name": "liquidityMinted", "type": "uint256" }
-    ],
-    "name": "InitialLiquidityAdded",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      { "indexed": true, "internalType": "address", "name": "provider", "type": "address" },
-      { "indexed": false, "internalType": "uint256", "name": "amountA", "type": "uint256" },
-      { "indexed": false, "internalType": "uint256", "name": "amountB", "type": "uint256" },
-      { "indexed": false, "internalType": "uint256", "name": "liquidityMinted", "type": "uint256" }
-    ],
-    "name": "LiquidityAdded",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      { "indexed": true, "internalType": "address", "name": "provider", "type": "address" },
-      { "indexed": false, "internalType": "uint256", "name": "amountA", "type": "uint256" },
-      { "indexed": false, "internalType": "uint256", "name": "amountB", "type": "uint256" },
-      { "indexed": false, "internalType": "uint256", "name": "liquidityBurned", "type": "uint256" }
-    ],
-    "name": "LiquidityRemoved",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      { "indexed": true, "internalType": "address", "name": "swapper", "type": "address" },
-      { "indexed": false, "internalType": "address", "name": "tokenIn", "type": "address" },
-      { "indexed": false, "internalType": "uint256", "name": "amountIn", "type": "uint256" },
-      { "indexed": false, "internalType": "address", "name": "tokenOut", "type": "address" },
-      { "indexed": false, "internalType": "uint256", "name": "amountOut", "type": "uint256" }
-    ],
-    "name": "TokensSwapped",
-    "type": "event"
-  },
-  {
-    "inputs": [
-      { "internalType": "address", "name": "tokenA_", "type": "address" },
-      { "internalType": "address", "name": "tokenB_", "type": "address" },
-      { "internalType": "uint256", "name": "amountADesired", "type": "uint256" },
-      { "internalType": "uint256", "name": "amountBDesired", "type": "uint256" },
-      { "internalType": "uint256", "name": "amountAMin", "type": "uint256" },
-      { "internalType": "uint256", "name": "amountBMin", "type": "uint256" },
-      { "internalType": "address", "name": "to", "type": "address" },
-      { "internalType": "uint256", "name": "deadline", "type": "uint256" }
-    ],
-    "name": "addLiquidity",
-    "outputs": [
-      { "internalType": "uint256", "name": "amountA", "type": "uint256" },
-      { "internalType": "uint256", "name": "amountB", "type": "uint256" },
-      { "internalType": "uint256", "name": "liquidity", "type": "uint256" }
-    ],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "decimals",
-    "outputs": [
-      { "internalType": "uint8", "name": "", "type": "uint8" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
-      { "internalType": "uint256", "name": "reserveIn", "type": "uint256" },
-      { "internalType": "uint256", "name": "reserveOut", "type": "uint256" }
-    ],
-    "name": "getAmountOut",
-    "outputs": [
-      { "internalType": "uint256", "name": "amountOut", "type": "uint256" }
-    ],
-    "stateMutability": "pure",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      { "internalType": "address", "name": "tokenA_", "type": "address" },
-      { "internalType": "address", "name": "tokenB_", "type": "address" }
-    ],
-    "name": "getPrice",
-    "outputs": [
-      { "internalType": "uint256", "name": "price", "type": "uint256" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "name",
-    "outputs": [
-      { "internalType": "string", "name": "", "type": "string" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "owner",
-    "outputs": [
-      { "internalType": "address", "name": "", "type": "address" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      { "internalType": "address", "name": "tokenA_", "type": "address" },
-      { "internalType": "address", "name": "tokenB_", "type": "address" },
-      { "internalType": "uint256", "name": "liquidity", "type": "uint256" },
-      { "internalType": "uint256", "name": "amountAMin", "type": "uint256" },
-      { "internalType": "uint256", "name": "amountBMin", "type": "uint256" },
-      { "internalType": "address", "name": "to", "type": "address" },
-      { "internalType": "uint256", "name": "deadline", "type": "uint256" }
-    ],
-    "name": "removeLiquidity",
-    "outputs": [
-      { "internalType": "uint256", "name": "amountA", "type": "uint256" },
-      { "internalType": "uint256", "name": "amountB", "type": "uint256" }
-    ],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "reserveA",
-    "outputs": [
-      { "internalType": "uint256", "name": "", "type": "uint256" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "reserveB",
-    "outputs": [
-      { "internalType": "uint256", "name": "", "type": "uint256" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      { "internalType": "uint256", "name": "amountIn", "type": "uint256" },
-      { "internalType": "uint256", "name": "amountOutMin", "type": "uint256" },
-      { "internalType": "address[]", "name": "path", "type": "address[]" },
-      { "internalType": "address", "name": "to", "type": "address" },
-      { "internalType": "uint256", "name": "deadline", "type": "uint256" }
-    ],
-    "name": "swapExactTokensForTokens",
-    "outputs": [
-      { "internalType": "uint256[]", "name": "amounts", "type": "uint256[]" }
-    ],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "symbol",
-    "outputs": [
-      { "internalType": "string", "name": "", "type": "string" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "tokenA",
-    "outputs": [
-      { "internalType": "address", "name": "", "type": "address" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "tokenB",
-    "outputs": [
-      { "internalType": "address", "name": "", "type": "address" }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-];
-
-const TOKEN_A_ADDRESS = "0xE893eB464b251d3174f4E2210aB537918cC4FFF6"; // Dirección del token M10
-const TOKEN_B_ADDRESS = "0x18d27f72Bc6B7CE5cf1998d4e4fA746630cA3C40"; // Dirección del token CR7
+/**
+ * Chains with a SimpleSwap deployment, keyed by chain id.
+ * The pool address is read at startup from the manifest written by scripts/deploy.js,
+ * or from the Ignition deployment of the chain when there is no manifest. `startBlock` is the block
+ * event queries start from when the deployment does not record it, and `rpcUrl` the RPC used in read-only
+ * mode and offered to wallets that do not know the chain yet.
+ */
+const NETWORKS = {
+  31337: {
+    name: "Hardhat",
+    manifest: "./deployments/chain-31337.json",
+    deployment: "./ignition/deployments/chain-31337/deployed_addresses.json",
+    explorer: null,
+    startBlock: 0,
+    rpcUrl: "http://127.0.0.1:8545"
+  }
+};
+
+/**
+ * Chain shown in read-only mode, until a wallet is connected. Null until a public chain with a current
+ * deployment is added to NETWORKS: the page then waits for a wallet.
+ */
+const READ_ONLY_CHAIN_ID = null;
+
+/** Ignition future ids of the pool in deployed_addresses.json, one per module that deploys it. */
+const POOL_FUTURE_IDS = ["SimpleSwapPoolModule#SimpleSwap", "SimpleSwapWithTokensModule#SimpleSwap"];
+
+/** Hardhat artifacts the ABIs are loaded from. */
+const ARTIFACTS = {
+  pool: "./artifacts/contracts/SimpleSwap.sol/SimpleSwap.json",
+  token: "./artifacts/contracts/M10.sol/M10.json",
+  lpToken: "./artifacts/contracts/LPToken.sol/LPToken.json"
+};
+
+/** Price impact above which the swap shows a warning and asks for an extra confirmation (5%). */
+const PRICE_IMPACT_WARNING_BPS = 500n;
+
+/** localStorage key of the user's slippage and deadline settings. */
+const SETTINGS_KEY = "simpleswap-settings";
+
+/** Settings used until the user changes them: 1% slippage, a 10 minute deadline and exact approvals. */
+const DEFAULT_SETTINGS = { slippageBps: 100, deadlineMinutes: 10, approvalMode: "exact" };
+
+/** Approval modes: "exact" approves only what the transaction spends, "unlimited" approves MaxUint256. */
+const APPROVAL_MODES = ["exact", "unlimited"];
+
+/** Slippage presets offered in the settings popover, in basis points. */
+const SLIPPAGE_PRESETS_BPS = [10, 50, 100];
+
+/** Slippage limits in basis points: above MAX is rejected, outside LOW..HIGH is accepted with a warning. */
+const SLIPPAGE_LIMITS_BPS = { max: 5000, high: 500, low: 5 };
+
+/** Longest deadline accepted, in minutes (3 days). */
+const MAX_DEADLINE_MINUTES = 4320;
+
+/** localStorage key of the transactions sent but not confirmed yet. */
+const PENDING_TXS_KEY = "simpleswap-pending-txs";
+
+/** How long a transaction is waited for after it was sent before it is dropped from the pending ones (30 minutes). */
+const TX_TIMEOUT_MS = 30 * 60 * 1000;
+
+/** How long a result toast stays on screen, in milliseconds (matches the fadeout in style.css). */
+const TOAST_DURATION_MS = 3000;
+
+/** How long the swap form waits after the last keystroke before quoting, in milliseconds. */
+const QUOTE_DEBOUNCE_MS = 300;
+
+/** Number of blocks queried for events each time the History panel pages back. */
+const HISTORY_BLOCK_RANGE = 5000;
+
+/** Pool events shown in the History panel; all of them index the account as their first argument. */
+const HISTORY_EVENTS = ["TokensSwapped", "LiquidityAdded", "LiquidityRemoved"];
+
+/** Longest window of the Pool tab, in seconds: events older than 7 days are not loaded. */
+const POOL_WINDOW_SECONDS = 7 * 24 * 3600;
+
+/** Pool events the LP position is built from. */
+const LIQUIDITY_EVENTS = ["LiquidityAdded", "LiquidityRemoved"];
+
+/** Logos of the known pool tokens, keyed by symbol. */
+const LOGOS = { M10: "./M10.png", CR7: "./CR7.png" };
+
+/** EIP-712 type of the permit message signed for the M10, CR7 and SSLP tokens. */
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/** ABIs loaded from ARTIFACTS: the pool, the M10/CR7 tokens (same ERC20 + permit interface) and SSLP. */
+let abis = { pool: [], token: [], lpToken: [] };
+
+/** Interface used to decode revert data into the custom errors of the pool and the tokens. */
+let errorsInterface = new ethers.Interface([]);
+
+/** Address of the SimpleSwap pool on the connected chain. */
+let poolAddress = null;
+
+/** Block the pool was deployed at, from the deployment manifest or the startBlock of the network. */
+let deploymentBlock = 0;
+
+/** Entry of NETWORKS for the connected chain. */
+let currentNetwork = null;
+
+/** Pool tokens; addresses and symbols are filled in from the pool once the chain is known. */
+const TOKEN_A = { address: null, symbol: "M10", logo: LOGOS.M10 };
+const TOKEN_B = { address: null, symbol: "CR7", logo: LOGOS.CR7 };
+
+let provider;
+
+/** Wallets announced through EIP-6963, keyed by uuid, as { info, provider }. */
+let wallets = {};
+
+/** EIP-1193 provider of the connected wallet, or null in read-only mode. */
+let walletProvider = null;
+
+/** Checksummed address of the connected account, or null in read-only mode (no signer calls are made then). */
+let connectedAccount = null;
+
+/** Token the user sells (input) and token the user buys (output) in the swap form. */
+let tokenIn = TOKEN_A;
+let tokenOut = TOKEN_B;
+
+/** Field the user typed last: "in" quotes IWANT from IHAVE, "out" quotes IHAVE from IWANT. */
+let exactField = "in";
+
+/** Last balances fetched for the connected account, keyed by token address. */
+let balances = {};
+
+/** Last allowances given by the connected account to the pool, keyed by token address. */
+let allowances = {};
+
+/** Whether the input token allowance falls short of the next exact-output swap. */
+let swapApprovalNeeded = false;
+
+/** Last pool snapshot used by the Liquidity tab for auto-fill and removal previews. */
+let pool = { reserveA: 0n, reserveB: 0n, totalSupply: 0n, lpBalance: 0n };
+
+/** Slippage tolerance and deadline applied to every swap and liquidity transaction. */
+let settings = loadSettings();
+
+/** Transactions being tracked until confirmation, mirrored in localStorage. */
+let pendingTxs = loadPendingTxs();
+
+/** Transactions being waited for on the current provider, keyed by hash, with the function that stops the wait. */
+let txTrackers = {};
+
+/** Timer that hides the current result toast. */
+let toastTimer = null;
+
+/** Timer of the swap quote waiting for the user to stop typing. */
+let quoteTimer = null;
+
+/** Timestamps of the blocks read so far, keyed by block number. */
+let blockTimestamps = {};
+
+/** Pool events of the last POOL_WINDOW_SECONDS (every account) and the last block they were queried up to. */
+let poolActivity = { entries: [], lastBlock: null, listening: false, refreshing: false };
+
+/** LiquidityAdded/LiquidityRemoved events of the connected account, oldest first, and the last block they were queried up to. */
+let liquidityEvents = { account: null, events: [], lastBlock: null };
+
+/**
+ * History of the connected account: entries loaded so far, the oldest block already queried and the
+ * pool Contract its live listeners are attached to (ethers keeps subscriptions per Contract instance).
+ */
+let accountHistory = { account: null, entries: [], oldestBlock: null, contract: null };
+
+/**
+ * Fetches a JSON file served next to the page.
+ * @param {string} path Path relative to the page
+ */
+async function fetchJson(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`${path}: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * Loads the ABIs from the Hardhat artifacts and builds the interface used to decode custom errors.
+ * Runs once; later calls reuse the ABIs already loaded.
+ */
+async function loadArtifacts() {
+  if (abis.pool.length > 0) return;
+
+  const [poolArtifact, tokenArtifact, lpTokenArtifact] = await Promise.all([
+    fetchJson(ARTIFACTS.pool),
+    fetchJson(ARTIFACTS.token),
+    fetchJson(ARTIFACTS.lpToken)
+  ]);
+  abis = { pool: poolArtifact.abi, token: tokenArtifact.abi, lpToken: lpTokenArtifact.abi };
+
+  // Errors inherited from OpenZeppelin show up in more than one ABI
+  const errors = new Map();
+  for (const fragment of [...abis.pool, ...abis.token, ...abis.lpToken]) {
+    if (fragment.type === "error") errors.set(fragment.name, fragment);
+  }
+  errorsInterface = new ethers.Interface([...errors.values()]);
+}
+
+/**
+ * Reads the pool address of a chain from its deployment manifest, falling back to its Ignition deployment.
+ * @param {{ manifest: string, deployment: string, startBlock: number }} network Entry of NETWORKS
+ * @returns {Promise<{ address: string|undefined, blockNumber: number }>}
+ */
+async function findPoolAddress(network) {
+  try {
+    const manifest = await fetchJson(network.manifest);
+    return { address: manifest.pool, blockNumber: manifest.blockNumber ?? network.startBlock };
+  } catch {
+    // Sin manifest: el pool se toma del deployment de Ignition
+  }
+
+  const addresses = await fetchJson(network.deployment);
+  return { address: POOL_FUTURE_IDS.map((id) => addresses[id]).find(Boolean), blockNumber: network.startBlock };
+}
+
+/**
+ * Reads the pool address of a chain from its deployment and the token addresses from the pool.
+ * @param {bigint} chainId Chain id reported by the provider
+ * @returns {Promise<string|null>} Error to show to the user, or null once the deployment is loaded
+ */
+async function loadDeployment(chainId) {
+  const network = NETWORKS[Number(chainId)];
+  if (!network) {
+    const supported = Object.entries(NETWORKS).map(([id, { name }]) => `${name} (${id})`).join(", ");
+    return `SimpleSwap no está desplegado en la red ${chainId}. Cambiá a ${supported}.`;
+  }
+
+  currentNetwork = network;
+  try {
+    const { address, blockNumber } = await findPoolAddress(network);
+    poolAddress = address ?? null;
+    deploymentBlock = blockNumber;
+  } catch (err) {
+    console.error("Error al cargar el deployment", err);
+    poolAddress = null;
+  }
+  if (!poolAddress) {
+    return `No se encontró un deploy de SimpleSwap en ${network.name}. Corré scripts/deploy.js o un deploy de Ignition primero.`;
+  }
+
+  const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+  let tokenAAddress, tokenBAddress;
+  try {
+    // lpToken() only exists on current pools, so an older deployment at this address fails here
+    [tokenAAddress, tokenBAddress] = await Promise.all([contract.tokenA(), contract.tokenB(), contract.lpToken()]);
+  } catch (err) {
+    console.error("Pool incompatible", err);
+    poolAddress = null;
+    return `El contrato ${contract.target} en ${network.name} no es un pool SimpleSwap compatible con esta versión. Volvé a desplegarlo.`;
+  }
+
+  for (const [token, address] of [[TOKEN_A, tokenAAddress], [TOKEN_B, tokenBAddress]]) {
+    token.address = address;
+    token.symbol = await new ethers.Contract(address, abis.token, provider).symbol();
+    token.logo = LOGOS[token.symbol] ?? token.logo;
+  }
+  renderDirection();
+  return null;
+}
+
+/**
+ * Shows or hides the network error banner.
+ * @param {string|null} message Text to show, or null to hide the banner
+ */
+function renderNetworkError(message) {
+  const banner = document.getElementById("network-error");
+  banner.innerText = message ?? "";
+  banner.classList.toggle("hidden", !message);
+}
+
+/**
+ * Shows a switch button per supported chain when the connected wallet is on an unsupported one.
+ * @param {bigint|null} chainId Chain id of the wallet, or null to hide the buttons
+ */
+function renderNetworkSwitch(chainId) {
+  const container = document.getElementById("network-switch");
+  container.replaceChildren();
+
+  const show = chainId !== null && walletProvider !== null && !NETWORKS[Number(chainId)];
+  if (show) {
+    for (const [id, { name }] of Object.entries(NETWORKS)) {
+      const button = document.createElement("button");
+      button.innerText = `Switch to ${name}`;
+      button.onclick = () => switchNetwork(Number(id));
+      container.append(button);
+    }
+  }
+  container.classList.toggle("hidden", !show);
+}
+
+/**
+ * Requests the EIP-6963 announcements of every injected wallet. Wallets answer with an
+ * "eip6963:announceProvider" event, also when they load after the page.
+ */
+function discoverWallets() {
+  window.addEventListener("eip6963:announceProvider", (event) => {
+    wallets[event.detail.info.uuid] = event.detail;
+  });
+  window.dispatchEvent(new Event("eip6963:requestProvider"));
+}
+
+/**
+ * Returns the discovered wallets, falling back to window.ethereum for wallets without EIP-6963 support.
+ * @returns {Array<{ info: { uuid: string, name: string, icon: string }, provider: object }>}
+ */
+function getWallets() {
+  const discovered = Object.values(wallets);
+  if (discovered.length === 0 && window.ethereum != null) {
+    return [{ info: { uuid: "injected", name: "Browser wallet", icon: "" }, provider: window.ethereum }];
+  }
+  return discovered;
+}
+
+/**
+ * Handles the Connect button: connects the only wallet found, or lets the user pick one when there are several.
+ * Without any wallet the dApp stays in read-only mode.
+ */
+async function connect() {
+  const available = getWallets();
+
+  if (available.length === 0) {
+    showToast(NETWORKS[READ_ONLY_CHAIN_ID]
+      ? "No se encontró ninguna wallet, se muestra el pool en modo solo lectura"
+      : "No se encontró ninguna wallet");
+    await connectReadOnly();
+  } else if (available.length === 1) {
+    await connectWallet(available[0].info.uuid);
+  } else {
+    renderWalletPicker(available);
+  }
+}
+
+/**
+ * Shows a button per wallet, with the icon and name it announced.
+ * @param {Array<object>} available Result of getWallets
+ */
+function renderWalletPicker(available) {
+  const picker = document.getElementById("wallet-picker");
+  picker.replaceChildren();
+
+  for (const { info } of available) {
+    const button = document.createElement("button");
+    button.onclick = () => connectWallet(info.uuid);
+
+    if (info.icon) {
+      const icon = document.createElement("img");
+      icon.src = info.icon;
+      icon.alt = "";
+      button.append(icon);
+    }
+    button.append(info.name);
+    picker.append(button);
+  }
+  picker.classList.remove("hidden");
+}
+
+/**
+ * Shows the connected account in the Connect button, or "Connect" in read-only mode.
+ */
+function renderAccount() {
+  document.getElementById("account").innerText = connectedAccount
+    ? `Connected to: ${connectedAccount.slice(0, 6)}...${connectedAccount.slice(-4)}`
+    : "Connect";
+}
+
+/**
+ * Connects to a wallet picked by the user, asks it for the accounts and follows its account and chain changes.
+ * @param {string} uuid EIP-6963 uuid of the wallet ("injected" for window.ethereum)
+ */
+async function connectWallet(uuid) {
+  const wallet = getWallets().find(({ info }) => info.uuid === uuid);
+  document.getElementById("wallet-picker").classList.add("hidden");
+  if (!wallet) return;
+
+  try {
+    const accounts = await wallet.provider.request({ method: "eth_requestAccounts" });
+
+    walletProvider?.removeListener?.("accountsChanged", handleAccountsChanged);
+    walletProvider?.removeListener?.("chainChanged", handleChainChanged);
+    walletProvider = wallet.provider;
+    walletProvider.on?.("accountsChanged", handleAccountsChanged);
+    walletProvider.on?.("chainChanged", handleChainChanged);
+
+    connectedAccount = accounts[0] ? ethers.getAddress(accounts[0]) : null;
+    renderAccount();
+    await loadChain(new ethers.BrowserProvider(walletProvider));
+  } catch (err) {
+    console.error("Error al conectar la wallet", err);
+    showToast(`❌ ${describeError(err)}`);
+  }
+}
+
+/**
+ * Shows the pool of a configured chain through its rpcUrl, without a wallet. Nothing that needs a signer is called.
+ * Without a read-only chain it only drops the previous provider and asks for a wallet.
+ * @param {number|null} [chainId] Chain id of an entry of NETWORKS
+ */
+async function connectReadOnly(chainId = READ_ONLY_CHAIN_ID) {
+  walletProvider?.removeListener?.("accountsChanged", handleAccountsChanged);
+  walletProvider?.removeListener?.("chainChanged", handleChainChanged);
+  walletProvider = null;
+  connectedAccount = null;
+  renderAccount();
+
+  if (!NETWORKS[chainId]) {
+    await unsubscribeHistory();
+    await provider?.removeAllListeners();
+    stopTxTrackers();
+    provider = undefined;
+    poolAddress = null;
+    renderNetworkSwitch(null);
+    renderNetworkError("Conectá una wallet para ver el pool.");
+    return;
+  }
+  // The chain is known upfront, so the provider skips network detection
+  const network = ethers.Network.from(chainId);
+  await loadChain(new ethers.JsonRpcProvider(NETWORKS[chainId].rpcUrl, network, { staticNetwork: network }));
+}
+
+/**
+ * Switches to a new provider: drops the listeners and cached data of the previous chain, loads the
+ * deployment of the provider's chain and refreshes the page data.
+ * @param {ethers.Provider} newProvider Provider of the wallet, or a public provider in read-only mode
+ */
+async function loadChain(newProvider) {
+  try {
+    await loadArtifacts();
+
+    await unsubscribeHistory();
+    await provider?.removeAllListeners();
+    stopTxTrackers();
+    provider = newProvider;
+    blockTimestamps = {};
+    poolActivity = { entries: [], lastBlock: null, listening: false, refreshing: false };
+    accountHistory = { account: null, entries: [], oldestBlock: null, contract: null };
+    liquidityEvents = { account: null, events: [], lastBlock: null };
+    balances = {};
+    allowances = {};
+
+    const { chainId } = await provider.getNetwork();
+    const networkError = await loadDeployment(chainId);
+    renderNetworkError(networkError);
+    renderNetworkSwitch(chainId);
+    if (networkError) return;
+
+    await refreshPoolData();
+    resumePendingTransactions(chainId);
+  } catch (err) {
+    console.error("Error al conectar", err);
+    renderNetworkError(`No se pudieron cargar los contratos: ${err.message}`);
+  }
+}
+
+/**
+ * Follows the account selected in the wallet. Disconnecting every account goes back to read-only mode.
+ * @param {string[]} accounts Accounts exposed by the wallet, the selected one first
+ */
+async function handleAccountsChanged(accounts) {
+  if (accounts.length === 0) {
+    await connectReadOnly();
+    return;
+  }
+
+  connectedAccount = ethers.getAddress(accounts[0]);
+  allowances = {};
+  renderAccount();
+  await refreshPoolData();
+  if (!document.getElementById("history-panel").classList.contains("hidden")) {
+    await openHistory();
+  }
+}
+
+/**
+ * Reloads the deployment and the data of the chain the wallet switched to.
+ * A new BrowserProvider is needed, since ethers providers are bound to one network.
+ */
+async function handleChainChanged() {
+  await loadChain(new ethers.BrowserProvider(walletProvider));
+}
+
+/**
+ * Asks the wallet to switch to a supported chain, adding the chain to the wallet first if it does not know it.
+ * @param {number} chainId Chain id of an entry of NETWORKS
+ */
+async function switchNetwork(chainId) {
+  const network = NETWORKS[chainId];
+  const hexChainId = ethers.toQuantity(chainId);
+
+  try {
+    await walletProvider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexChainId }] });
+  } catch (err) {
+    // 4902: the wallet does not know the chain yet
+    if (err?.code !== 4902 && err?.data?.originalError?.code !== 4902) {
+      console.error("Error al cambiar de red", err);
+      showToast(`❌ ${describeError(err)}`);
+      return;
+    }
+
+    try {
+      await walletProvider.request({
+        method: "wallet_addEthereumChain",
+        params: [{
+          chainId: hexChainId,
+          chainName: network.name,
+          nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+          rpcUrls: [network.rpcUrl],
+          blockExplorerUrls: network.explorer ? [network.explorer] : undefined
+        }]
+      });
+    } catch (addErr) {
+      console.error("Error al agregar la red", addErr);
+      showToast(`❌ ${describeError(addErr)}`);
+    }
+  }
+}
+
+/**
+ * Returns the signer of the connected account.
+ * @throws In read-only mode, with a message describeError shows as is
+ */
+async function getSigner() {
+  if (!connectedAccount) {
+    throw ethers.makeError("Conectá una wallet primero", "UNSUPPORTED_OPERATION", { operation: "getSigner" });
+  }
+  return provider.getSigner(connectedAccount);
+}
+
+/**
+ * Re-reads price, balances and the liquidity position after the pool state changed.
+ */
+async function refreshPoolData() {
+  await updatePrice();
+  await updateBalances();
+  await updateLiquidity();
+}
+
+/**
+ * Returns the pool reserves ordered as [reserveIn, reserveOut] for the current swap direction.
+ * @param {ethers.Contract} contract SimpleSwap contract instance
+ */
+async function getReservesInOut(contract) {
+  const reserveA = await contract.reserveA();
+  const reserveB = await contract.reserveB();
+
+  return tokenIn.address === TOKEN_A.address ? [reserveA, reserveB] : [reserveB, reserveA];
+}
+
+/**
+ * Converts an input amount to its output value at the pool spot price (no curve, no fee).
+ * getPrice() always returns token B per token A, so the reverse direction inverts it.
+ * @param {bigint} amountIn Amount of tokenIn in wei
+ * @param {bigint} price Result of getPrice(TOKEN_A.address, TOKEN_B.address)
+ */
+function spotAmountOut(amountIn, price) {
+  return tokenIn.address === TOKEN_A.address
+    ? amountIn * price / 10n ** 18n
+    : amountIn * 10n ** 18n / price;
+}
+
+/**
+ * Flips the swap direction: swaps input and output tokens, logos, balances and amounts.
+ */
+async function flipDirection() {
+  [tokenIn, tokenOut] = [tokenOut, tokenIn];
+
+  // The amount the user typed follows its token to the other side
+  clearTimeout(quoteTimer);
+  const previousIn = document.querySelector(".IHAVE").value;
+  const previousOut = document.querySelector(".IWANT").value;
+  document.querySelector(".IHAVE").value = isNaN(previousOut) ? "" : previousOut;
+  document.querySelector(".IWANT").value = isNaN(previousIn) ? "" : previousIn;
+  exactField = exactField === "in" ? "out" : "in";
+  swapApprovalNeeded = false;
+
+  renderDirection();
+  renderSwapDetails(null);
+  await updatePrice();
+  if (exactField === "in" && document.querySelector(".IHAVE").value) {
+    await setValueTokenToSpend();
+  } else if (exactField === "out" && document.querySelector(".IWANT").value) {
+    await setValueTokenToReceive();
+  }
+}
+
+/**
+ * Formats a token amount (in wei) with at most two decimals, dropping trailing zeros.
+ * @param {bigint} value Amount in wei
+ */
+function formatAmount(value) {
+  return String(Number(Number(ethers.formatUnits(value, 18)).toFixed(2)));
+}
+
+/**
+ * Finds the revert data of a failed call, wherever ethers or the wallet put it.
+ * @param {Error} err Error thrown by ethers
+ * @returns {string|undefined} Hex-encoded revert data
+ */
+function findRevertData(err) {
+  const candidates = [
+    err?.data,
+    err?.info?.error?.data,
+    err?.info?.error?.data?.data,
+    err?.error?.data,
+    err?.error?.data?.data
+  ];
+
+  return candidates.find((data) => typeof data === "string" && data.startsWith("0x") && data.length >= 10);
+}
+
+/**
+ * Turns a failed transaction into a message for the user, decoding custom errors through errorsInterface.
+ * @param {Error} err Error thrown by ethers
+ * @param {{ symbolIn?: string, symbolOut?: string }} [context] Symbols of the tokens being sold and bought
+ * @returns {string}
+ */
+function describeError(err, context = {}) {
+  if (err?.code === "ACTION_REJECTED") {
+    return "Solicitud rechazada en la wallet.";
+  }
+
+  const data = findRevertData(err);
+  let parsed = null;
+  if (data) {
+    try {
+      parsed = errorsInterface.parseError(data);
+    } catch {
+      parsed = null;
+    }
+  }
+
+  if (!parsed) {
+    return err?.reason || err?.shortMessage || "Error inesperado, mirá la consola para más detalles.";
+  }
+
+  const args = parsed.args;
+  const { symbolIn = "", symbolOut = "" } = context;
+
+  switch (parsed.name) {
+    case "InsufficientOutputAmount":
+      return `El precio se movió: recibirías ${formatAmount(args.got)} ${symbolOut}, el mínimo era ${formatAmount(args.min)}`;
+    case "ExcessiveInputAmount":
+      return `El precio se movió: pagarías ${formatAmount(args.amountIn)} ${symbolIn}, el máximo era ${formatAmount(args.amountInMax)}`;
+    case "InsufficientAAmount":
+      return `La proporción del pool cambió: ${formatAmount(args.amountA)} ${TOKEN_A.symbol}, el mínimo era ${formatAmount(args.amountAMin)}`;
+    case "InsufficientBAmount":
+      return `La proporción del pool cambió: ${formatAmount(args.amountB)} ${TOKEN_B.symbol}, el mínimo era ${formatAmount(args.amountBMin)}`;
+    case "ExcessiveAAmount":
+      return `La proporción del pool cambió: hacen falta ${formatAmount(args.amountA)} ${TOKEN_A.symbol}, ofreciste ${formatAmount(args.amountADesired)}`;
+    case "InsufficientReserveOut":
+      return `Liquidez insuficiente: el pool tiene solo ${formatAmount(args.reserveOut)} ${symbolOut}`;
+    case "InsufficientReserves":
+      return "El pool no tiene liquidez suficiente para este monto";
+    case "InsufficientLPBalance":
+      return `Tenés ${formatAmount(args.balance)} SSLP e intentaste retirar ${formatAmount(args.liquidity)}`;
+    case "InsufficientInitialLiquidity":
+      return "El primer depósito es demasiado chico para abrir el pool";
+    case "InsufficientLiquidityMinted":
+      return "Este depósito es demasiado chico para emitir SSLP";
+    case "Expired":
+      return "El deadline de la transacción venció antes de que se minara. Intentá de nuevo";
+    case "ZeroAmount":
+      return "Ingresá un monto mayor a cero";
+    case "InvalidPair":
+    case "InvalidPath":
+      return "Estos tokens no se operan en este pool";
+    case "EmptyReserves":
+      return "El pool todavía no tiene liquidez";
+    case "InputNotReceived":
+      return `Llegó al pool menos ${symbolIn} de lo esperado (token con fee en la transferencia)`;
+    case "EnforcedPause":
+      return "El pool está pausado: swaps y depósitos deshabilitados, los retiros siguen funcionando";
+    case "ERC20InsufficientBalance":
+      return `Balance insuficiente: tenés ${formatAmount(args.balance)}, necesitás ${formatAmount(args.needed)}`;
+    case "ERC20InsufficientAllowance":
+      return `Allowance insuficiente: aprobaste ${formatAmount(args.allowance)}, necesitás ${formatAmount(args.needed)}. Aprobá primero`;
+    case "ERC2612ExpiredSignature":
+      return "La firma del permit venció. Firmá de nuevo";
+    case "ERC2612InvalidSigner":
+      return "La firma del permit es inválida o ya se usó. Firmá de nuevo";
+    case "OwnableUnauthorizedAccount":
+      return "Solo el owner del pool puede hacer esto";
+    default:
+      return `La transacción revirtió: ${parsed.name}`;
+  }
+}
+
+/**
+ * Shows a message in the toast. Pending toasts stay on screen until the next message;
+ * any other toast fades out after TOAST_DURATION_MS.
+ * @param {string} message Text to show
+ * @param {boolean} [pending] Whether the message belongs to a transaction still waiting for confirmation
+ */
+function showToast(message, pending = false) {
+  const toast = document.getElementById("toast");
+  clearTimeout(toastTimer);
+
+  toast.innerText = message;
+  toast.classList.remove("show", "pending");
+  void toast.offsetWidth; // Reinicia la animación de fadein
+  toast.classList.add(pending ? "pending" : "show");
+
+  if (!pending) {
+    toastTimer = setTimeout(() => toast.classList.remove("show"), TOAST_DURATION_MS);
+  }
+}
+
+/**
+ * Shows the spinner while any transaction is pending.
+ */
+function renderSpinner() {
+  document.getElementById("spinner").style.display = pendingTxs.length > 0 ? "block" : "none";
+}
+
+/**
+ * Reads the pending transactions saved in localStorage.
+ * @returns {Array<{ hash: string, chainId: number, startBlock: number, sentAt: number, label: string,
+ *   success: string, context: object }>}
+ */
+function loadPendingTxs() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_TXS_KEY)) ?? [];
+  } catch (err) {
+    console.error("Error al leer las transacciones pendientes:", err);
+    return [];
+  }
+}
+
+/**
+ * Saves the pending transactions to localStorage.
+ */
+function savePendingTxs() {
+  try {
+    localStorage.setItem(PENDING_TXS_KEY, JSON.stringify(pendingTxs));
+  } catch (err) {
+    console.error("Error al guardar las transacciones pendientes:", err);
+  }
+}
+
+/**
+ * Recovers the reason a mined transaction reverted by replaying it as a call on the state right before its block.
+ * Earlier transactions of the same block are not replayed, so the reason is a best effort.
+ * @param {string} hash Transaction hash
+ * @param {object} context Symbols passed on to describeError
+ */
+async function findFailureReason(hash, context) {
+  try {
+    const tx = await provider.getTransaction(hash);
+    await provider.call({ to: tx.to, from: tx.from, data: tx.data, value: tx.value, blockTag: tx.blockNumber - 1 });
+  } catch (err) {
+    return describeError(err, context);
+  }
+  return "La transacción revirtió";
+}
+
+/**
+ * Removes a transaction from the pending ones.
+ * @param {string} hash Transaction hash
+ */
+function dropPendingTx(hash) {
+  pendingTxs = pendingTxs.filter((pendingTx) => pendingTx.hash !== hash);
+  savePendingTxs();
+  renderSpinner();
+}
+
+/**
+ * Stops waiting for every tracked transaction, before the provider they are waited on is replaced.
+ * They stay in localStorage, so resumePendingTransactions tracks them again on their chain.
+ */
+function stopTxTrackers() {
+  for (const stop of Object.values(txTrackers)) stop();
+  txTrackers = {};
+}
+
+/**
+ * Describes why the wait for a transaction ended without a successful receipt.
+ * @param {Error} err Error thrown by TransactionResponse.wait
+ * @param {{ hash: string, label: string, context: object }} pendingTx Pending transaction
+ * @returns {Promise<string|null>} Reason to show, or null when a repriced replacement succeeded
+ */
+async function describeTxFailure(err, { hash, label, context }) {
+  if (ethers.isError(err, "CALL_EXCEPTION") && err.receipt) {
+    return findFailureReason(hash, context);
+  }
+  if (ethers.isError(err, "TRANSACTION_REPLACED")) {
+    // Sped up from the wallet: same call with a higher fee, which tells the result
+    if (!err.cancelled) {
+      return err.receipt.status === 1 ? null : findFailureReason(err.hash, context);
+    }
+    return `${label}: la transacción fue reemplazada o cancelada desde la wallet`;
+  }
+  if (ethers.isError(err, "TIMEOUT")) {
+    return `${label} sigue sin confirmarse, revisala en tu wallet`;
+  }
+  console.error("Error al esperar la transacción:", err);
+  return describeError(err, context);
+}
+
+/**
+ * Tracks a transaction until it is mined, replaced or timed out: shows a pending toast with its hash and the
+ * spinner, then a success or failure toast with the decoded reason, and refreshes the pool data.
+ * The transaction is kept in localStorage meanwhile, so it is tracked again after a reload.
+ * A tracker stopped by stopTxTrackers returns false without a toast; the resumed one reports the result.
+ * @param {ethers.TransactionResponse} tx Transaction sent through the current provider
+ * @param {{ label: string, success: string, context?: object }} info What the transaction does,
+ *   the message shown once it is confirmed and the symbols passed on to describeError
+ * @returns {Promise<boolean>} Whether the transaction succeeded
+ */
+async function trackTransaction(tx, { label, success, context = {} }) {
+  txTrackers[tx.hash]?.();
+  const stopped = new Promise((resolve) => { txTrackers[tx.hash] = () => resolve(null); });
+
+  let pendingTx = pendingTxs.find(({ hash }) => hash === tx.hash);
+  if (!pendingTx) {
+    const [{ chainId }, startBlock] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+    pendingTx = { hash: tx.hash, chainId: Number(chainId), startBlock, sentAt: Date.now(), label, success, context };
+    pendingTxs.push(pendingTx);
+    savePendingTxs();
+  }
+  renderSpinner();
+  showToast(`⏳ ${label}: ${tx.hash.slice(0, 10)}...`, true);
+
+  // Replacements are looked for from the block the transaction was sent at; the timeout counts from then too
+  const timeout = Math.max(pendingTx.sentAt + TX_TIMEOUT_MS - Date.now(), 1);
+  let receipt, error;
+  try {
+    receipt = await Promise.race([stopped, tx.replaceableTransaction(pendingTx.startBlock).wait(1, timeout)]);
+  } catch (err) {
+    error = err;
+  }
+  if (receipt === null) return false;
+  delete txTrackers[tx.hash];
+
+  const failure = error ? await describeTxFailure(error, pendingTx) : null;
+  showToast(failure ? `⚠️ ${failure}` : success);
+
+  dropPendingTx(tx.hash);
+  await refreshPoolData();
+  return !failure;
+}
+
+/**
+ * Tracks again the transactions of the connected chain that were still pending when the page was closed or
+ * the chain was switched. Those the node no longer knows (dropped, or replaced and forgotten) are removed.
+ * @param {bigint} chainId Chain id reported by the provider
+ */
+async function resumePendingTransactions(chainId) {
+  for (const pendingTx of [...pendingTxs]) {
+    if (pendingTx.chainId !== Number(chainId) || txTrackers[pendingTx.hash]) continue;
+
+    try {
+      const tx = await provider.getTransaction(pendingTx.hash);
+      if (!tx) {
+        dropPendingTx(pendingTx.hash);
+        showToast(`⚠️ ${pendingTx.label}: la transacción ya no está en la red`);
+        continue;
+      }
+      trackTransaction(tx, pendingTx);
+    } catch (err) {
+      console.error("Error al retomar la transacción pendiente:", err);
+    }
+  }
+}
+
+/**
+ * Writes the current swap direction (symbols, logos, balances) into the swap form.
+ */
+function renderDirection() {
+  document.getElementById("menuTokenIn").innerText = tokenIn.symbol;
+  document.getElementById("menuTokenOut").innerText = tokenOut.symbol;
+  document.querySelector(".logoIn").src = tokenIn.logo;
+  document.querySelector(".logoOut").src = tokenOut.logo;
+  document.getElementById("symbolIn").innerText = tokenIn.symbol;
+  document.getElementById("symbolOut").innerText = tokenOut.symbol;
+  document.getElementById("approveButton").innerText = `Approve ${tokenIn.symbol}`;
+  document.querySelector("#swap-price .precio-token").innerText = tokenOut.symbol;
+  renderApproveButton();
+  renderBalances();
+}
+
+/**
+ * Shows the approve button only for exact-output swaps whose input allowance is too low.
+ * Exact-input swaps are approved with a signed permit inside handleSubmit.
+ */
+function renderApproveButton() {
+  document.getElementById("approveButton").classList.toggle("hidden", exactField === "in" || !swapApprovalNeeded);
+}
+
+/**
+ * Reads the allowance the connected account gives the pool for a token and keeps it in `allowances`.
+ * In read-only mode there is no account, so the allowance is 0.
+ * @param {string} tokenAddress M10, CR7 or SSLP address
+ * @returns {Promise<bigint>}
+ */
+async function fetchAllowance(tokenAddress) {
+  const token = new ethers.Contract(tokenAddress, abis.token, provider);
+
+  allowances[tokenAddress] = connectedAccount ? await token.allowance(connectedAccount, poolAddress) : 0n;
+  return allowances[tokenAddress];
+}
+
+/**
+ * Returns the amount to approve for a transaction spending `amount`, following the approval mode in settings.
+ * @param {bigint} amount Amount the transaction spends
+ */
+function getApprovalAmount(amount) {
+  return settings.approvalMode === "unlimited" ? ethers.MaxUint256 : amount;
+}
+
+/**
+ * Checks whether the input token allowance covers the quoted swap and shows the approve button if not.
+ * @param {object|null} quote Result of getSwapQuote, or null when there is nothing to swap
+ */
+async function updateSwapApproval(quote) {
+  try {
+    swapApprovalNeeded = quote !== null && connectedAccount !== null && (await fetchAllowance(tokenIn.address)) < quote.amountInMax;
+  } catch (err) {
+    console.error("Error al leer el allowance:", err);
+    swapApprovalNeeded = quote !== null;
+  }
+  renderApproveButton();
+}
+
+/**
+ * Writes the last fetched balances into the input/output rows of the swap form.
+ */
+function renderBalances() {
+  const format = (value) => value === undefined ? "0" : Number(ethers.formatUnits(value, 18)).toFixed(0);
+
+  document.getElementById("balanceIn").innerText = format(balances[tokenIn.address]);
+  document.getElementById("balanceOut").innerText = format(balances[tokenOut.address]);
+}
+
+/**
+ * Fetches and displays the current price of tokenIn in terms of tokenOut.
+ */
+async function updatePrice() {
+  try {
+    const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+    const price = await contract.getPrice(TOKEN_A.address, TOKEN_B.address);
+    const formatted = ethers.formatUnits(spotAmountOut(10n ** 18n, price), 18);
+    document.querySelector("#swap-price .precio").innerText = Number(formatted).toFixed(2);
+  } catch (err) {
+    console.error("Error al obtener el precio:", err);
+    document.querySelector("#swap-price .precio").innerText = "error";
+  }
+}
+
+/**
+ * Retrieves and displays the user's token balances for M10 and CR7 (none in read-only mode).
+ */
+async function updateBalances() {
+  try {
+    const address = connectedAccount;
+    if (!address) {
+      balances = {};
+      renderBalances();
+      return;
+    }
+
+    const tokenA = new ethers.Contract(TOKEN_A.address, abis.token, provider);
+    const tokenB = new ethers.Contract(TOKEN_B.address, abis.token, provider);
+
+    balances[TOKEN_A.address] = await tokenA.balanceOf(address);
+    balances[TOKEN_B.address] = await tokenB.balanceOf(address);
+
+    renderBalances();
+  } catch (err) {
+    console.error("Error al obtener los balances:", err);
+  }
+}
+
+/**
+ * Quotes the swap once the user stops typing in one of its amounts, instead of on every keystroke.
+ * @param {string} field Amount the user typed into ("in" or "out")
+ */
+function handleSwapAmountInput(field) {
+  exactField = field;
+  clearTimeout(quoteTimer);
+  quoteTimer = setTimeout(field === "in" ? setValueTokenToSpend : setValueTokenToReceive, QUOTE_DEBOUNCE_MS);
+}
+
+/**
+ * Estimates the amount of tokenOut the user will receive for the entered tokenIn amount.
+ * Uses the getAmountOut() contract function with reserves ordered by swap direction.
+ */
+async function setValueTokenToSpend() {
+  exactField = "in";
+  renderApproveButton();
+  try {
+    const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+    const quote = await getSwapQuote(contract);
+
+    document.querySelector('.IWANT').value = Number(ethers.formatUnits(quote.amountOut, 18)).toFixed(2);
+    renderSwapDetails(quote);
+    await updateSwapApproval(quote);
+  } catch (err) {
+    console.error("Error al calcular IWANT:", err);
+    document.querySelector('.IWANT').value = "error";
+    renderSwapDetails(null);
+  }
+}
+
+/**
+ * Estimates the amount of tokenIn the user must pay to receive the entered tokenOut amount.
+ * Uses the getAmountIn() contract function with reserves ordered by swap direction.
+ */
+async function setValueTokenToReceive() {
+  exactField = "out";
+  renderApproveButton();
+  try {
+    const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+    const quote = await getSwapQuote(contract);
+
+    document.querySelector('.IHAVE').value = Number(ethers.formatUnits(quote.amountIn, 18)).toFixed(2);
+    renderSwapDetails(quote);
+    await updateSwapApproval(quote);
+  } catch (err) {
+    console.error("Error al calcular IHAVE:", err);
+    document.querySelector('.IHAVE').value = "error";
+    renderSwapDetails(null);
+  }
+}
+
+/**
+ * Quotes the swap in the form at current reserves, from the field the user typed last.
+ * The price impact compares the output with what the same input would buy at the spot price,
+ * so it covers both the curve and the swap fee. The limits apply the slippage tolerance in settings.
+ * @param {ethers.Contract} contract SimpleSwap contract instance
+ * @returns {Promise<{ amountIn: bigint, amountOut: bigint, priceImpactBps: bigint, amountOutMin: bigint, amountInMax: bigint }>}
+ */
+async function getSwapQuote(contract) {
+  const [reserveIn, reserveOut] = await getReservesInOut(contract);
+  const price = await contract.getPrice(TOKEN_A.address, TOKEN_B.address);
+
+  let amountIn, amountOut;
+  if (exactField === "in") {
+    amountIn = ethers.parseUnits(document.querySelector('.IHAVE').value || "0", 18);
+    amountOut = await contract.getAmountOut(amountIn, reserveIn, reserveOut);
+  } else {
+    amountOut = ethers.parseUnits(document.querySelector('.IWANT').value || "0", 18);
+    amountIn = await contract.getAmountIn(amountOut, reserveIn, reserveOut);
+  }
+
+  const spotOut = spotAmountOut(amountIn, price);
+  const slippageBps = getSlippageBps();
+
+  return {
+    amountIn,
+    amountOut,
+    priceImpactBps: spotOut > 0n ? (spotOut - amountOut) * 10000n / spotOut : 0n,
+    amountOutMin: amountOut * (10000n - slippageBps) / 10000n,
+    amountInMax: amountIn * (10000n + slippageBps) / 10000n
+  };
+}
+
+/**
+ * Fills the swap details panel: expected output, price impact, slippage limit and execution price.
+ * Exact-input swaps show the minimum received, exact-output swaps the maximum sold.
+ * @param {object|null} quote Result of getSwapQuote, or null to hide the panel
+ */
+function renderSwapDetails(quote) {
+  document.getElementById("swap-details").classList.toggle("hidden", !quote);
+  const highImpact = quote !== null && quote.priceImpactBps > PRICE_IMPACT_WARNING_BPS;
+  document.getElementById("price-impact-warning").classList.toggle("hidden", !highImpact);
+  if (!quote) return;
+
+  const executionPrice = quote.amountIn > 0n ? quote.amountOut * 10n ** 18n / quote.amountIn : 0n;
+
+  document.getElementById("detail-expected").innerText = `${formatAmount(quote.amountOut)} ${tokenOut.symbol}`;
+  document.getElementById("detail-impact").innerText = `${(Number(quote.priceImpactBps) / 100).toFixed(2)}%`;
+  document.getElementById("detail-impact").classList.toggle("high-impact", highImpact);
+  document.getElementById("detail-limit-label").innerText = exactField === "in" ? "Minimum received" : "Maximum sold";
+  document.getElementById("detail-limit").innerText = exactField === "in"
+    ? `${formatAmount(quote.amountOutMin)} ${tokenOut.symbol}`
+    : `${formatAmount(quote.amountInMax)} ${tokenIn.symbol}`;
+  document.getElementById("detail-execution-price").innerText =
+    `1 ${tokenIn.symbol} = ${formatAmount(executionPrice)} ${tokenOut.symbol}`;
+}
+
+/**
+ * Re-quotes the swap in the form, e.g. after the slippage tolerance changed.
+ */
+async function updateSwapDetails() {
+  if (exactField === "in") {
+    await setValueTokenToSpend();
+  } else {
+    await setValueTokenToReceive();
+  }
+}
+
+/**
+ * Asks for an extra confirmation when the swap moves the price more than PRICE_IMPACT_WARNING_BPS.
+ * @param {{ priceImpactBps: bigint }} quote Result of getSwapQuote
+ * @returns {boolean} Whether the swap should go ahead
+ */
+function confirmPriceImpact(quote) {
+  if (quote.priceImpactBps <= PRICE_IMPACT_WARNING_BPS) return true;
+
+  const percent = (Number(quote.priceImpactBps) / 100).toFixed(2);
+  return confirm(`Este swap tiene un impacto en el precio de ${percent}%. Vas a obtener un precio mucho peor que el spot. ¿Hacer el swap igual?`);
+}
+
+/**
+ * Signs an EIP-2612 permit letting the SimpleSwap contract spend `value` of the user's tokens.
+ * Works for M10, CR7 and SSLP. Returns the signature split into v, r and s.
+ * @param {ethers.Signer} signer Token holder
+ * @param {string} tokenAddress Token that will be spent
+ * @param {bigint} value Amount approved by the signature
+ * @param {number} deadline Timestamp after which the signature is no longer valid
+ */
+async function signPermit(signer, tokenAddress, value, deadline) {
+  const token = new ethers.Contract(tokenAddress, abis.token, provider);
+  const owner = await signer.getAddress();
+  const { chainId } = await provider.getNetwork();
+
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId,
+    verifyingContract: tokenAddress
+  };
+  const message = {
+    owner,
+    spender: poolAddress,
+    value,
+    nonce: await token.nonces(owner),
+    deadline
+  };
+
+  return ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+}
+
+/**
+ * Approves the SimpleSwap contract to spend the user's input token.
+ * Must be called before an exact-output swap, which has no permit variant.
+ * Approves the quoted maximum input, or MaxUint256 in unlimited approval mode.
+ */
+async function handleApprove() {
+  try {
+    const signer = await getSigner();
+    const token = new ethers.Contract(tokenIn.address, abis.token, signer);
+
+    // Covers the amountInMax used by handleSubmitExactOutput
+    const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+    const quote = await getSwapQuote(contract);
+
+    const tx = await token.approve(poolAddress, getApprovalAmount(quote.amountInMax));
+    await trackTransaction(tx, { label: `Approve de ${tokenIn.symbol}`, success: "Approve exitoso ✅" });
+    await updateSwapApproval(quote);
+  } catch (err) {
+    console.error("Error al aprobar:", err);
+    showToast(`❌ ${describeError(err)}`);
+  }
+}
+
+/**
+ * Executes a token swap from tokenIn to tokenOut using the SimpleSwap contract.
+ * Sells the exact IHAVE amount, or buys the exact IWANT amount when that was the last field typed.
+ * Exact-input swaps ask for one permit signature and send one transaction, with no prior approval.
+ * The signature is skipped when the existing allowance already covers the input.
+ * The minimum output comes from the curve quote and the slippage tolerance in settings.
+ */
+async function handleSubmit() {
+  if (exactField === "out") {
+    await handleSubmitExactOutput();
+    return;
+  }
+
+  try {
+    const signer = await getSigner();
+    const contract = new ethers.Contract(poolAddress, abis.pool, signer);
+
+    const inputAmount = document.querySelector(".IHAVE").value;
+
+    if (!inputAmount || isNaN(inputAmount) || parseFloat(inputAmount) <= 0) {
+      showToast("Por favor ingresá una cantidad válida");
+      return;
+    }
+
+    const deadline = getDeadline();
+    const path = [tokenIn.address, tokenOut.address];
+    const userAddress = await signer.getAddress();
+
+    // Mínimo esperado según la curva, no el precio spot
+    const quote = await getSwapQuote(contract);
+    renderSwapDetails(quote);
+    if (!confirmPriceImpact(quote)) return;
+
+    const { amountIn, amountOutMin } = quote;
+
+    let tx;
+    if ((await fetchAllowance(tokenIn.address)) >= amountIn) {
+      tx = await contract.swapExactTokensForTokens(amountIn, amountOutMin, path, userAddress, deadline);
+    } else {
+      // Firma del permit en lugar de una transacción de approve
+      const approveMax = settings.approvalMode === "unlimited";
+      const { v, r, s } = await signPermit(signer, tokenIn.address, getApprovalAmount(amountIn), deadline);
+
+      tx = await contract.swapExactTokensForTokensWithPermit(
+        amountIn,
+        amountOutMin,
+        path,
+        userAddress,
+        deadline,
+        approveMax,
+        v,
+        r,
+        s
+      );
+    }
+
+    await trackTransaction(tx, {
+      label: `Swap ${tokenIn.symbol} → ${tokenOut.symbol}`,
+      success: "Swap realizado con éxito ✅",
+      context: { symbolIn: tokenIn.symbol, symbolOut: tokenOut.symbol }
+    });
+  } catch (err) {
+    console.error("Error en el swap:", err);
+    showToast(`⚠️ ${describeError(err, { symbolIn: tokenIn.symbol, symbolOut: tokenOut.symbol })}`);
+  }
+}
+
+/**
+ * Buys exactly the IWANT amount of tokenOut, paying at most the slippage tolerance more tokenIn than quoted.
+ */
+async function handleSubmitExactOutput() {
+  try {
+    const signer = await getSigner();
+    const contract = new ethers.Contract(poolAddress, abis.pool, signer);
+
+    const outputAmount = document.querySelector(".IWANT").value;
+
+    if (!outputAmount || isNaN(outputAmount) || parseFloat(outputAmount) <= 0) {
+      showToast("Por favor ingresá una cantidad válida");
+      return;
+    }
+
+    const deadline = getDeadline();
+    const path = [tokenIn.address, tokenOut.address];
+    const userAddress = await signer.getAddress();
+
+    const quote = await getSwapQuote(contract);
+    renderSwapDetails(quote);
+    if (!confirmPriceImpact(quote)) return;
+
+    const { amountOut, amountInMax } = quote;
+
+    const tx = await contract.swapTokensForExactTokens(
+      amountOut,
+      amountInMax,
+      path,
+      userAddress,
+      deadline
+    );
+
+    await trackTransaction(tx, {
+      label: `Swap ${tokenIn.symbol} → ${tokenOut.symbol}`,
+      success: "Swap realizado con éxito ✅",
+      context: { symbolIn: tokenIn.symbol, symbolOut: tokenOut.symbol }
+    });
+  } catch (err) {
+    console.error("Error en el swap:", err);
+    showToast(`⚠️ ${describeError(err, { symbolIn: tokenIn.symbol, symbolOut: tokenOut.symbol })}`);
+  }
+}
+
+/**
+ * Shows the requested tab ("swap" or "liquidity") of the swap box.
+ * @param {string} name Tab to display
+ */
+async function showTab(name) {
+  for (const tab of ["swap", "liquidity", "history", "pool"]) {
+    document.getElementById(`${tab}-panel`).classList.toggle("hidden", tab !== name);
+    document.getElementById(`tab-${tab}`).classList.toggle("swap-button-active", tab === name);
+  }
+
+  if (name === "liquidity") {
+    await updateLiquidity();
+  } else if (name === "history") {
+    await openHistory();
+  } else if (name === "pool") {
+    await openPool();
+  }
+}
+
+/**
+ * Turns a pool event of the connected account into a History entry.
+ * Amounts are signed from the account's point of view: negative for tokens it paid, positive for tokens it got.
+ * @param {ethers.EventLog} event TokensSwapped, LiquidityAdded or LiquidityRemoved event
+ * @param {number} timestamp Timestamp of the event's block
+ */
+function toHistoryEntry(event, timestamp) {
+  const entry = {
+    type: event.eventName,
+    blockNumber: event.blockNumber,
+    logIndex: event.index,
+    hash: event.transactionHash,
+    timestamp,
+    deltaA: 0n,
+    deltaB: 0n,
+    deltaLP: 0n
+  };
+  const args = event.args;
+
+  if (event.eventName === "TokensSwapped") {
+    const aIsIn = args.tokenIn === TOKEN_A.address;
+    entry.deltaA = aIsIn ? -args.amountIn : args.amountOut;
+    entry.deltaB = aIsIn ? args.amountOut : -args.amountIn;
+  } else if (event.eventName === "LiquidityAdded") {
+    entry.deltaA = -args.amountA;
+    entry.deltaB = -args.amountB;
+    entry.deltaLP = args.liquidityMinted;
+  } else {
+    entry.deltaA = args.amountA;
+    entry.deltaB = args.amountB;
+    entry.deltaLP = -args.liquidityBurned;
+  }
+  return entry;
+}
+
+/**
+ * Returns the price implied by a History entry, in token B per token A.
+ * @param {{ deltaA: bigint, deltaB: bigint }} entry History entry
+ * @returns {bigint} Price scaled by 1e18 (0 when nothing of token A moved)
+ */
+function historyPrice(entry) {
+  const amountA = entry.deltaA < 0n ? -entry.deltaA : entry.deltaA;
+  const amountB = entry.deltaB < 0n ? -entry.deltaB : entry.deltaB;
+  return amountA > 0n ? amountB * 10n ** 18n / amountA : 0n;
+}
+
+/**
+ * Adds History entries, skipping the ones already loaded, and re-renders the list.
+ * @param {Array<object>} entries Results of toHistoryEntry
+ */
+function addHistoryEntries(entries) {
+  const known = new Set(accountHistory.entries.map((entry) => `${entry.hash}-${entry.logIndex}`));
+  for (const entry of entries) {
+    if (!known.has(`${entry.hash}-${entry.logIndex}`)) accountHistory.entries.push(entry);
+  }
+  accountHistory.entries.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+  renderHistory();
+}
+
+/**
+ * Returns the timestamp of a block, caching it since blocks usually hold several pool events.
+ * @param {number} blockNumber Block number
+ */
+async function getBlockTimestamp(blockNumber) {
+  blockTimestamps[blockNumber] ??= (await provider.getBlock(blockNumber)).timestamp;
+  return blockTimestamps[blockNumber];
+}
+
+/**
+ * Queries the History events of an account in a block range, as History entries.
+ * @param {number} fromBlock First block of the range
+ * @param {number} toBlock Last block of the range
+ * @param {string|null} [account] Account the events are filtered by (null for every account)
+ */
+async function fetchHistoryRange(fromBlock, toBlock, account = accountHistory.account) {
+  const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+
+  const events = [];
+  for (const name of HISTORY_EVENTS) {
+    events.push(...await contract.queryFilter(contract.filters[name](account), fromBlock, toBlock));
+  }
+
+  const entries = [];
+  for (const event of events) {
+    entries.push(toHistoryEntry(event, await getBlockTimestamp(event.blockNumber)));
+  }
+  return entries;
+}
+
+/**
+ * Loads the previous HISTORY_BLOCK_RANGE blocks of History, starting from the latest block on the first call.
+ */
+async function loadMoreHistory() {
+  const status = document.getElementById("history-status");
+  try {
+    const toBlock = accountHistory.oldestBlock === null ? await provider.getBlockNumber() : accountHistory.oldestBlock - 1;
+    const fromBlock = Math.max(deploymentBlock, toBlock - HISTORY_BLOCK_RANGE + 1);
+    if (toBlock < fromBlock) return;
+
+    status.innerText = `Cargando bloques ${fromBlock} a ${toBlock}...`;
+    addHistoryEntries(await fetchHistoryRange(fromBlock, toBlock));
+    accountHistory.oldestBlock = fromBlock;
+
+    status.innerText = `Mostrando la actividad desde el bloque ${fromBlock}`;
+    document.getElementById("history-more").classList.toggle("hidden", fromBlock <= deploymentBlock);
+  } catch (err) {
+    console.error("Error al cargar el historial:", err);
+    status.innerText = "No se pudo cargar el historial, intentá de nuevo.";
+  }
+}
+
+/**
+ * Opens the History panel: loads the latest page of events the first time and subscribes to new ones.
+ * Starts over when the connected account changed; in read-only mode it only asks to connect a wallet.
+ */
+async function openHistory() {
+  const account = connectedAccount;
+  if (!account) {
+    await unsubscribeHistory();
+    accountHistory = { account: null, entries: [], oldestBlock: null, contract: null };
+    renderHistory();
+    document.getElementById("history-status").innerText = "Conectá una wallet para ver tu historial";
+    document.getElementById("history-more").classList.add("hidden");
+    return;
+  }
 
-let provider;
+  if (accountHistory.account !== account) {
+    await unsubscribeHistory();
+    accountHistory = { account, entries: [], oldestBlock: null, contract: null };
+    renderHistory();
+    await loadMoreHistory();
+  }
+  if (!accountHistory.contract) {
+    await subscribeHistory();
+  }
+}
 
 /**
- * Connects the dApp to MetaMask or fallback provider.
- * Displays shortened wallet address and triggers initial data update.
+ * Listens to new History events of the connected account, so the list updates live.
  */
-async function connect() {
-  try {
-    let signer = null;
+async function subscribeHistory() {
+  const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+
+  for (const name of HISTORY_EVENTS) {
+    await contract.on(contract.filters[name](accountHistory.account), async (...args) => {
+      const event = args[args.length - 1].log;
+      addHistoryEntries([toHistoryEntry(event, await getBlockTimestamp(event.blockNumber))]);
+    });
+  }
+  accountHistory.contract = contract;
+}
+
+/**
+ * Removes the History listeners of the previous account from the Contract they were attached to.
+ */
+async function unsubscribeHistory() {
+  if (!accountHistory.contract) return;
+
+  await accountHistory.contract.removeAllListeners();
+  accountHistory.contract = null;
+}
+
+/**
+ * Formats a signed amount of a History entry, e.g. "+9.8 CR7" or "-10 M10".
+ * @param {bigint} delta Signed amount in wei
+ * @param {string} symbol Token symbol
+ */
+function formatDelta(delta, symbol) {
+  return `${delta < 0n ? "-" : "+"}${formatAmount(delta < 0n ? -delta : delta)} ${symbol}`;
+}
+
+/**
+ * Writes the History entries into the panel, newest first, with a block explorer link when the chain has one.
+ */
+function renderHistory() {
+  const list = document.getElementById("history-list");
+  list.replaceChildren();
+
+  const labels = { TokensSwapped: "Swap", LiquidityAdded: "Add liquidity", LiquidityRemoved: "Remove liquidity" };
+
+  for (const entry of accountHistory.entries) {
+    const row = document.createElement("div");
+    row.className = "history-entry";
+
+    const title = document.createElement("div");
+    title.innerText = `${labels[entry.type]} · ${new Date(entry.timestamp * 1000).toLocaleString()}`;
+
+    const amounts = document.createElement("div");
+    amounts.innerText = [
+      formatDelta(entry.deltaA, TOKEN_A.symbol),
+      formatDelta(entry.deltaB, TOKEN_B.symbol),
+      ...(entry.deltaLP !== 0n ? [formatDelta(entry.deltaLP, "SSLP")] : [])
+    ].join(" / ");
+
+    const price = document.createElement("div");
+    price.innerText = `1 ${TOKEN_A.symbol} = ${formatAmount(historyPrice(entry))} ${TOKEN_B.symbol}`;
+
+    row.append(title, amounts, price);
+
+    if (currentNetwork?.explorer) {
+      const link = document.createElement("a");
+      link.href = `${currentNetwork.explorer}/tx/${entry.hash}`;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.innerText = `${entry.hash.slice(0, 10)}... ↗`;
+      row.append(link);
+    }
+
+    list.append(row);
+  }
+
+  document.getElementById("history-empty").classList.toggle("hidden", accountHistory.entries.length > 0);
+}
+
+/**
+ * Downloads the History entries loaded so far as a CSV file.
+ */
+function exportHistoryCsv() {
+  const rows = [["Type", "Date", "Block", "Transaction", TOKEN_A.symbol, TOKEN_B.symbol, "SSLP", `Price (${TOKEN_B.symbol} per ${TOKEN_A.symbol})`]];
+
+  for (const entry of accountHistory.entries) {
+    rows.push([
+      entry.type,
+      new Date(entry.timestamp * 1000).toISOString(),
+      entry.blockNumber,
+      entry.hash,
+      ethers.formatUnits(entry.deltaA, 18),
+      ethers.formatUnits(entry.deltaB, 18),
+      ethers.formatUnits(entry.deltaLP, 18),
+      ethers.formatUnits(historyPrice(entry), 18)
+    ]);
+  }
+
+  const csv = rows.map((row) => row.join(",")).join("\n") + "\n";
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  link.download = `simpleswap-history-${accountHistory.account}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Formats a price scaled by 1e18 with six significant digits.
+ * @param {bigint} value Price in wei
+ */
+function formatPrice(value) {
+  return String(Number(Number(ethers.formatUnits(value, 18)).toPrecision(6)));
+}
+
+/**
+ * Finds the first block mined at or after a timestamp, by binary search over block timestamps.
+ * @param {number} timestamp Unix timestamp in seconds
+ * @param {number} latestBlock Latest block number
+ */
+async function findBlockAtTimestamp(timestamp, latestBlock) {
+  let low = deploymentBlock;
+  let high = latestBlock;
+
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if ((await getBlockTimestamp(middle)) < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Queries the pool events of every account between two blocks, HISTORY_BLOCK_RANGE blocks at a time.
+ * @param {number} fromBlock First block of the range
+ * @param {number} toBlock Last block of the range
+ */
+async function fetchPoolActivity(fromBlock, toBlock) {
+  const entries = [];
+  for (let start = fromBlock; start <= toBlock; start += HISTORY_BLOCK_RANGE) {
+    entries.push(...await fetchHistoryRange(start, Math.min(start + HISTORY_BLOCK_RANGE - 1, toBlock), null));
+  }
+  return entries;
+}
+
+/**
+ * Rebuilds the spot price after each event by walking back from the current reserves and undoing
+ * every event. Reserve changes without one of these events (sync after a donation) are not seen,
+ * so older points are an approximation.
+ * @param {Array<object>} entries Pool events as History entries, in any order
+ * @param {bigint} reserveA Current reserve of token A
+ * @param {bigint} reserveB Current reserve of token B
+ * @param {number} now Timestamp of the latest block
+ * @returns {Array<{ timestamp: number, price: number }>} Price in token B per token A, oldest first
+ */
+function buildPriceSeries(entries, reserveA, reserveB, now) {
+  const spot = (a, b) => a > 0n ? Number(ethers.formatUnits(b * 10n ** 18n / a, 18)) : 0;
+  const sorted = [...entries].sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+
+  let [a, b] = [reserveA, reserveB];
+  const points = [{ timestamp: now, price: spot(a, b) }];
+  for (const entry of sorted) {
+    points.push({ timestamp: entry.timestamp, price: spot(a, b) });
+    // The account's deltas are the opposite of the pool's
+    a += entry.deltaA;
+    b += entry.deltaB;
+  }
+  // Price before the oldest event, held since the start of the window
+  points.push({ timestamp: now - POOL_WINDOW_SECONDS, price: spot(a, b) });
+
+  return points.reverse().filter((point) => point.price > 0);
+}
 
-    if (window.ethereum == null) {
-      console.log("MetaMask no está instalado; solo lectura");
-      provider = ethers.getDefaultProvider();
+/**
+ * Adds up the swap volume since a timestamp, measured in token A.
+ * @param {Array<object>} entries Pool events as History entries
+ * @param {number} since Unix timestamp in seconds
+ */
+function swapVolume(entries, since) {
+  return entries
+    .filter((entry) => entry.type === "TokensSwapped" && entry.timestamp >= since)
+    .reduce((total, entry) => total + (entry.deltaA < 0n ? -entry.deltaA : entry.deltaA), 0n);
+}
+
+/**
+ * Draws the price series on the Pool tab canvas, with the lowest and highest price as labels.
+ * @param {Array<{ timestamp: number, price: number }>} points Result of buildPriceSeries
+ */
+function drawPriceChart(points) {
+  const canvas = document.getElementById("price-chart");
+  const context = canvas.getContext("2d");
+  const padding = 20;
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  if (points.length < 2) return;
+
+  const prices = points.map((point) => point.price);
+  const [minPrice, maxPrice] = [Math.min(...prices), Math.max(...prices)];
+  const [start, end] = [points[0].timestamp, points[points.length - 1].timestamp];
+  const x = (timestamp) => padding + (timestamp - start) / Math.max(end - start, 1) * (canvas.width - 2 * padding);
+  const y = (price) => canvas.height - padding - (price - minPrice) / Math.max(maxPrice - minPrice, 1e-18) * (canvas.height - 2 * padding);
+
+  context.strokeStyle = "#1144b9";
+  context.lineWidth = 2;
+  context.beginPath();
+  // Escalones: el precio se mantiene hasta el siguiente evento
+  points.forEach((point, i) => {
+    if (i === 0) {
+      context.moveTo(x(point.timestamp), y(point.price));
     } else {
-      provider = new ethers.BrowserProvider(window.ethereum);
+      context.lineTo(x(point.timestamp), y(points[i - 1].price));
+      context.lineTo(x(point.timestamp), y(point.price));
+    }
+  });
+  context.stroke();
+
+  context.fillStyle = "#af2606";
+  context.font = "12px sans-serif";
+  context.fillText(String(Number(maxPrice.toPrecision(6))), 2, padding - 6);
+  context.fillText(String(Number(minPrice.toPrecision(6))), 2, canvas.height - 4);
+}
 
-      signer = await provider.getSigner();
+/**
+ * Reads reserves and SSLP supply, loads the pool events mined since the last refresh (keeping the last
+ * POOL_WINDOW_SECONDS) and renders reserves, TVL, LP share value, 24h/7d volume and the price chart.
+ */
+async function updatePoolStats() {
+  if (poolActivity.refreshing) return;
+  poolActivity.refreshing = true;
 
-      const address = await signer.getAddress();
-      const short = address.slice(0, 6) + "..." + address.slice(-4);
-      document.getElementById("account").innerText = `Connected to: ${short}`;
+  try {
+    const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+    const lpToken = new ethers.Contract(await contract.lpToken(), abis.lpToken, provider);
+    const latestBlock = await provider.getBlockNumber();
+    const now = await getBlockTimestamp(latestBlock);
 
+    const fromBlock = poolActivity.lastBlock === null
+      ? await findBlockAtTimestamp(now - POOL_WINDOW_SECONDS, latestBlock)
+      : poolActivity.lastBlock + 1;
+    if (fromBlock <= latestBlock) {
+      poolActivity.entries.push(...await fetchPoolActivity(fromBlock, latestBlock));
+      poolActivity.lastBlock = latestBlock;
     }
+    poolActivity.entries = poolActivity.entries.filter((entry) => entry.timestamp >= now - POOL_WINDOW_SECONDS);
+
+    // Reserves and supply read after the events, at the latest block, so the series ends on them
+    const [reserveA, reserveB, totalSupply] = await Promise.all([
+      contract.reserveA({ blockTag: latestBlock }),
+      contract.reserveB({ blockTag: latestBlock }),
+      lpToken.totalSupply({ blockTag: latestBlock })
+    ]);
+    const price = reserveA > 0n ? reserveB * 10n ** 18n / reserveA : 0n;
+
+    document.getElementById("pool-reserveA").innerText = `${formatAmount(reserveA)} ${TOKEN_A.symbol}`;
+    document.getElementById("pool-reserveB").innerText = `${formatAmount(reserveB)} ${TOKEN_B.symbol}`;
+    document.getElementById("pool-price").innerText = `1 ${TOKEN_A.symbol} = ${formatPrice(price)} ${TOKEN_B.symbol}`;
+    // Ambos lados valen lo mismo al precio spot
+    document.getElementById("pool-tvl").innerText = `${formatAmount(2n * reserveB)} ${TOKEN_B.symbol}`;
+    document.getElementById("pool-supply").innerText = formatAmount(totalSupply);
+    document.getElementById("pool-share-value").innerText = totalSupply > 0n
+      ? `${formatPrice(reserveA * 10n ** 18n / totalSupply)} ${TOKEN_A.symbol} + ${formatPrice(reserveB * 10n ** 18n / totalSupply)} ${TOKEN_B.symbol}`
+      : "-";
+    document.getElementById("pool-volume-24h").innerText = `${formatAmount(swapVolume(poolActivity.entries, now - 24 * 3600))} ${TOKEN_A.symbol}`;
+    document.getElementById("pool-volume-7d").innerText = `${formatAmount(swapVolume(poolActivity.entries, now - POOL_WINDOW_SECONDS))} ${TOKEN_A.symbol}`;
+
+    drawPriceChart(buildPriceSeries(poolActivity.entries, reserveA, reserveB, now));
   } catch (err) {
-    console.error("Error al conectar", err);
+    console.error("Error al obtener las estadísticas del pool:", err);
+  } finally {
+    poolActivity.refreshing = false;
   }
-  await updatePrice();
-  await updateBalances();
 }
 
 /**
- * Fetches and displays the current token price from the smart contract.
+ * Opens the Pool tab: refreshes the stats and keeps them updated on every new block while the tab is visible.
  */
-async function updatePrice() {
+async function openPool() {
+  if (!poolActivity.listening) {
+    await provider.on("block", () => {
+      if (!document.getElementById("pool-panel").classList.contains("hidden")) {
+        updatePoolStats();
+      }
+    });
+    poolActivity.listening = true;
+  }
+  await updatePoolStats();
+}
+
+/**
+ * Reads the settings saved in localStorage, falling back to DEFAULT_SETTINGS for missing or invalid values.
+ */
+function loadSettings() {
+  let saved = {};
   try {
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
-    const price = await contract.getPrice(TOKEN_A_ADDRESS, TOKEN_B_ADDRESS);
-    const formatted = ethers.formatUnits(price, 18);
-    document.querySelector("#swap-price .precio").innerText = Number(formatted).toFixed(2);
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) ?? {};
   } catch (err) {
-    console.error("Error al obtener el precio:", err);
-    document.querySelector("#swap-price .precio").innerText = "error";
+    console.error("Error al leer la configuración guardada:", err);
   }
+
+  return {
+    slippageBps: validateSlippage(saved.slippageBps / 100).error ? DEFAULT_SETTINGS.slippageBps : saved.slippageBps,
+    deadlineMinutes: validateDeadline(saved.deadlineMinutes).error ? DEFAULT_SETTINGS.deadlineMinutes : saved.deadlineMinutes,
+    approvalMode: APPROVAL_MODES.includes(saved.approvalMode) ? saved.approvalMode : DEFAULT_SETTINGS.approvalMode
+  };
 }
 
 /**
- * Retrieves and displays the user's token balances for M10 and CR7.
+ * Saves the current settings to localStorage.
  */
-async function updateBalances() {
+function saveSettings() {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error("Error al guardar la configuración:", err);
+  }
+}
+
+/**
+ * Checks a slippage tolerance typed by the user.
+ * @param {number} percent Slippage in percent
+ * @returns {{ bps?: number, error?: string, warning?: string }}
+ */
+function validateSlippage(percent) {
+  if (typeof percent !== "number" || !Number.isFinite(percent) || percent < 0) {
+    return { error: "El slippage debe ser un porcentaje positivo." };
+  }
+
+  const bps = Math.round(percent * 100);
+  if (bps > SLIPPAGE_LIMITS_BPS.max) {
+    return { error: `No se permite un slippage mayor a ${SLIPPAGE_LIMITS_BPS.max / 100}%.` };
+  }
+  if (bps > SLIPPAGE_LIMITS_BPS.high) {
+    return { bps, warning: "Slippage alto: tu swap puede sufrir frontrunning y ejecutarse a un precio mucho peor." };
+  }
+  if (bps < SLIPPAGE_LIMITS_BPS.low) {
+    return { bps, warning: "Slippage muy bajo: tu transacción puede fallar si el precio se mueve." };
+  }
+  return { bps };
+}
+
+/**
+ * Checks a transaction deadline typed by the user.
+ * @param {number} minutes Deadline in minutes from the time the transaction is sent
+ * @returns {{ minutes?: number, error?: string }}
+ */
+function validateDeadline(minutes) {
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_DEADLINE_MINUTES) {
+    return { error: `El deadline debe ser un número entero de minutos entre 1 y ${MAX_DEADLINE_MINUTES}.` };
+  }
+  return { minutes };
+}
+
+/**
+ * Returns the slippage tolerance in settings, in basis points.
+ */
+function getSlippageBps() {
+  return BigInt(settings.slippageBps);
+}
+
+/**
+ * Returns the deadline of a transaction sent now, as a timestamp in seconds.
+ */
+function getDeadline() {
+  return Math.floor(Date.now() / 1000) + settings.deadlineMinutes * 60;
+}
+
+/**
+ * Applies the slippage tolerance to an amount, returning the minimum acceptable amount.
+ * @param {bigint} amount Expected amount in wei
+ */
+function applySlippage(amount) {
+  return amount * (10000n - getSlippageBps()) / 10000n;
+}
+
+/**
+ * Opens or closes the settings popover.
+ */
+function toggleSettings() {
+  const popover = document.getElementById("settings-popover");
+  popover.classList.toggle("hidden");
+  renderSettings();
+  if (!popover.classList.contains("hidden")) {
+    renderAllowances();
+  }
+}
+
+/**
+ * Shows the current settings in the popover and next to the amounts they affect.
+ * @param {string} [message] Error or warning about the last value typed
+ */
+function renderSettings(message) {
+  for (const preset of document.querySelectorAll(".slippage-preset")) {
+    preset.classList.toggle("slippage-preset-active", Number(preset.dataset.bps) === settings.slippageBps);
+  }
+  const custom = document.getElementById("slippage-custom");
+  if (document.activeElement !== custom) {
+    custom.value = SLIPPAGE_PRESETS_BPS.includes(settings.slippageBps) ? "" : settings.slippageBps / 100;
+  }
+  document.getElementById("deadline-minutes").value = settings.deadlineMinutes;
+  for (const mode of document.querySelectorAll(".approval-mode")) {
+    mode.classList.toggle("slippage-preset-active", mode.dataset.mode === settings.approvalMode);
+  }
+
+  const feedback = message ?? validateSlippage(settings.slippageBps / 100).warning;
+  document.getElementById("settings-message").innerText = feedback ?? "";
+  document.getElementById("settings-message").classList.toggle("hidden", !feedback);
+
+  for (const label of document.querySelectorAll(".slippage-value")) {
+    label.innerText = `${settings.slippageBps / 100}%`;
+  }
+}
+
+/**
+ * Saves a new slippage tolerance (a preset or a validated custom value) and re-quotes the swap form.
+ * @param {number} bps Slippage in basis points
+ */
+async function setSlippage(bps) {
+  settings.slippageBps = bps;
+  saveSettings();
+  renderSettings();
+  if (document.querySelector(exactField === "in" ? ".IHAVE" : ".IWANT").value) {
+    await updateSwapDetails();
+  }
+}
+
+/**
+ * Validates and saves the custom slippage typed in the popover. Rejected values keep the previous setting.
+ */
+async function handleSlippageInput() {
+  const input = document.getElementById("slippage-custom");
+  if (input.value === "") return;
+
+  const { bps, error } = validateSlippage(parseFloat(input.value));
+  if (error) {
+    renderSettings(error);
+    return;
+  }
+  await setSlippage(bps);
+}
+
+/**
+ * Saves the approval mode used by the approve buttons and permits.
+ * @param {string} mode "exact" or "unlimited"
+ */
+function setApprovalMode(mode) {
+  settings.approvalMode = mode;
+  saveSettings();
+  renderSettings();
+}
+
+/**
+ * Returns the tokens the pool can be approved for: M10, CR7 and SSLP, keyed as in the allowance rows.
+ * @returns {Promise<Object<string, string>>}
+ */
+async function getApprovableTokens() {
+  const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+  return { A: TOKEN_A.address, B: TOKEN_B.address, LP: await contract.lpToken() };
+}
+
+/**
+ * Shows the current allowance of every token to the pool in the settings popover.
+ */
+async function renderAllowances() {
+  try {
+    for (const [key, address] of Object.entries(await getApprovableTokens())) {
+      const allowance = await fetchAllowance(address);
+      document.getElementById(`allowance-${key}`).innerText = allowance === ethers.MaxUint256 ? "Unlimited" : formatAmount(allowance);
+      document.getElementById(`revoke-${key}`).disabled = allowance === 0n;
+    }
+  } catch (err) {
+    console.error("Error al leer los allowances:", err);
+  }
+}
+
+/**
+ * Sets the allowance of a token to the pool back to zero.
+ * @param {string} key Token of the allowance row: "A", "B" or "LP"
+ */
+async function revokeAllowance(key) {
+  try {
+    const signer = await getSigner();
+    const tokenAddress = (await getApprovableTokens())[key];
+    const token = new ethers.Contract(tokenAddress, abis.token, signer);
+
+    const tx = await token.approve(poolAddress, 0);
+    await trackTransaction(tx, { label: "Revocar allowance", success: "Allowance revocado ✅" });
+    await renderAllowances();
+  } catch (err) {
+    console.error("Error al revocar el allowance:", err);
+    showToast(`❌ ${describeError(err)}`);
+  }
+}
+
+/**
+ * Validates and saves the deadline typed in the popover. Rejected values keep the previous setting.
+ */
+function handleDeadlineInput() {
+  const { minutes, error } = validateDeadline(Number(document.getElementById("deadline-minutes").value));
+  if (error) {
+    renderSettings(error);
+    return;
+  }
+
+  settings.deadlineMinutes = minutes;
+  saveSettings();
+  renderSettings();
+}
+
+/**
+ * Reads reserves, SSLP supply and the user's SSLP balance, and renders the user's position.
+ * In read-only mode only the reserves and supply are read, for the add-liquidity auto-fill.
+ */
+async function updateLiquidity() {
   try {
-    const signer = await provider.getSigner();
-    const address = await signer.getAddress();
+    const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+    const lpToken = new ethers.Contract(await contract.lpToken(), abis.lpToken, provider);
 
-    const tokenA = new ethers.Contract(TOKEN_A_ADDRESS, [
-      "function balanceOf(address) view returns (uint256)"
-    ], provider);
+    pool.reserveA = await contract.reserveA();
+    pool.reserveB = await contract.reserveB();
+    pool.totalSupply = await lpToken.totalSupply();
 
-    const tokenB = new ethers.Contract(TOKEN_B_ADDRESS, [
-      "function balanceOf(address) view returns (uint256)"
-    ], provider);
+    const account = connectedAccount;
+    pool.lpBalance = account ? await lpToken.balanceOf(account) : 0n;
 
-    const balanceA = await tokenA.balanceOf(address);
-    const balanceB = await tokenB.balanceOf(address);
+    const shareA = pool.totalSupply > 0n ? pool.lpBalance * pool.reserveA / pool.totalSupply : 0n;
+    const shareB = pool.totalSupply > 0n ? pool.lpBalance * pool.reserveB / pool.totalSupply : 0n;
+    const sharePercent = pool.totalSupply > 0n ? Number(pool.lpBalance * 10000n / pool.totalSupply) / 100 : 0;
 
-    document.getElementById("balanceM10").innerText = Number(ethers.formatUnits(balanceA, 18)).toFixed(0);
-    document.getElementById("balanceCR7").innerText = Number(ethers.formatUnits(balanceB, 18)).toFixed(0);
+    document.getElementById("balanceSSLP").innerText = Number(ethers.formatUnits(pool.lpBalance, 18)).toFixed(4);
+    document.getElementById("poolShare").innerText = sharePercent.toFixed(2);
+    document.getElementById("shareM10").innerText = Number(ethers.formatUnits(shareA, 18)).toFixed(2);
+    document.getElementById("shareCR7").innerText = Number(ethers.formatUnits(shareB, 18)).toFixed(2);
+
+    previewRemoveLiquidity();
+    await updatePosition(account);
   } catch (err) {
-    console.error("Error al obtener los balances:", err);
+    console.error("Error al obtener la liquidez:", err);
   }
 }
 
 /**
- * Estimates the amount of token B the user will receive for the entered token A amount.
- * Uses the getAmountOut() contract function based on current reserves.
+ * Loads the LiquidityAdded and LiquidityRemoved events of an account mined since the last call,
+ * HISTORY_BLOCK_RANGE blocks at a time, as liquidity events of lpPosition.js.
+ * @param {string} account Address of the connected account
+ * @returns {Promise<Array<{ type: "add"|"remove", amountA: bigint, amountB: bigint, liquidity: bigint }>>} Oldest first
  */
-async function setValueTokenToSpend() {
+async function fetchLiquidityEvents(account) {
+  if (liquidityEvents.account !== account) {
+    liquidityEvents = { account, events: [], lastBlock: null };
+  }
+
+  const contract = new ethers.Contract(poolAddress, abis.pool, provider);
+  const lastBlock = liquidityEvents.lastBlock;
+  const fromBlock = lastBlock === null ? deploymentBlock : lastBlock + 1;
+  const toBlock = await provider.getBlockNumber();
+
+  const found = [];
+  for (let start = fromBlock; start <= toBlock; start += HISTORY_BLOCK_RANGE) {
+    const end = Math.min(start + HISTORY_BLOCK_RANGE - 1, toBlock);
+    for (const name of LIQUIDITY_EVENTS) {
+      found.push(...await contract.queryFilter(contract.filters[name](account), start, end));
+    }
+  }
+  found.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  // Another refresh may have loaded the same blocks in the meantime
+  if (liquidityEvents.account === account && liquidityEvents.lastBlock === lastBlock) {
+    liquidityEvents.events.push(...found.map((event) => ({
+      type: event.eventName === "LiquidityAdded" ? "add" : "remove",
+      amountA: event.args.amountA,
+      amountB: event.args.amountB,
+      liquidity: event.eventName === "LiquidityAdded" ? event.args.liquidityMinted : event.args.liquidityBurned
+    })));
+    liquidityEvents.lastBlock = toBlock;
+  }
+  return liquidityEvents.events;
+}
+
+/**
+ * Computes the position of the account from its liquidity events and the last pool snapshot, and renders
+ * what was deposited (average cost basis), the value now against holding those tokens, the impermanent
+ * loss and the fees earned. Values are in token B at the spot price.
+ * @param {string|null} account Address of the connected account (null in read-only mode)
+ */
+async function updatePosition(account) {
   try {
-    const amountInStr = document.querySelector('.IHAVE').value;
-    const amountIn = ethers.parseUnits(amountInStr || "0", 18);
+    const position = LPPosition.computePosition({
+      events: account ? await fetchLiquidityEvents(account) : [],
+      lpBalance: pool.lpBalance,
+      reserveA: pool.reserveA,
+      reserveB: pool.reserveB,
+      totalSupply: pool.totalSupply
+    });
+    const hasPosition = position.holdValue > 0n;
+    const value = (amount) => hasPosition ? `${formatAmount(amount)} ${TOKEN_B.symbol}` : "-";
 
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
+    document.getElementById("position-deposited").innerText = hasPosition
+      ? `${formatAmount(position.costA)} ${TOKEN_A.symbol} + ${formatAmount(position.costB)} ${TOKEN_B.symbol}`
+      : "-";
+    document.getElementById("position-value").innerText = value(position.positionValue);
+    document.getElementById("position-hold").innerText = value(position.holdValue);
+    document.getElementById("position-il").innerText = hasPosition
+      ? `${formatDelta(position.impermanentLoss, TOKEN_B.symbol)} (${(Number(position.impermanentLossBps) / 100).toFixed(2)}%)`
+      : "-";
+    document.getElementById("position-fees").innerText = hasPosition
+      ? `${formatAmount(position.feesA)} ${TOKEN_A.symbol} + ${formatAmount(position.feesB)} ${TOKEN_B.symbol}`
+      : "-";
+  } catch (err) {
+    console.error("Error al calcular la posición:", err);
+  }
+}
 
-    const reserveA = await contract.reserveA();
-    const reserveB = await contract.reserveB();
+/**
+ * Auto-fills the paired amount of the add-liquidity form at the current pool ratio.
+ * On an empty pool both amounts are free, since the first deposit sets the price.
+ * @param {string} side Token the user typed into ("A" or "B")
+ */
+function handleLiquidityAmountInput(side) {
+  if (pool.reserveA === 0n || pool.reserveB === 0n) return;
 
-    const amountOut = await contract.getAmountOut(amountIn, reserveA, reserveB)
+  const [source, target] = side === "A" ? [".ADD-A", ".ADD-B"] : [".ADD-B", ".ADD-A"];
+  const [reserveSource, reserveTarget] = side === "A" ? [pool.reserveA, pool.reserveB] : [pool.reserveB, pool.reserveA];
 
-    document.querySelector('.IWANT').value =Number(ethers.formatUnits(amountOut, 18)).toFixed(2);
+  try {
+    const amount = ethers.parseUnits(document.querySelector(source).value || "0", 18);
+    const paired = amount * reserveTarget / reserveSource;
+    document.querySelector(target).value = ethers.formatUnits(paired, 18);
   } catch (err) {
-    console.error("Error al calcular IWANT:", err);
-    document.querySelector('.IWANT').value = "error";
+    document.querySelector(target).value = "";
   }
+  updateLiquidityApproval();
 }
 
 /**
- * Approves the SimpleSwap contract to spend the user's token A (M10).
- * Must be called before swapping.
+ * Returns the token amounts typed in the add-liquidity form, in wei.
+ * @returns {[bigint, bigint]}
  */
-async function handleApprove() {
+function getLiquidityAmounts() {
+  return [
+    ethers.parseUnits(document.querySelector(".ADD-A").value || "0", 18),
+    ethers.parseUnits(document.querySelector(".ADD-B").value || "0", 18)
+  ];
+}
+
+/**
+ * Shows the approve button of the add-liquidity form only when an allowance falls short of the typed amounts.
+ */
+async function updateLiquidityApproval() {
+  let needed = false;
+  try {
+    const [amountA, amountB] = getLiquidityAmounts();
+    needed = connectedAccount !== null &&
+      ((await fetchAllowance(TOKEN_A.address)) < amountA || (await fetchAllowance(TOKEN_B.address)) < amountB);
+  } catch (err) {
+    console.error("Error al leer el allowance:", err);
+  }
+  document.getElementById("approve-liquidity").classList.toggle("hidden", !needed);
+}
+
+/**
+ * Approves the SimpleSwap contract to spend the tokens whose allowance is below the amounts in the add-liquidity form.
+ * Approves the exact amounts, or MaxUint256 in unlimited approval mode.
+ */
+async function handleApproveLiquidity() {
   try {
-    const signer = await provider.getSigner();
-    const tokenA = new ethers.Contract(TOKEN_A_ADDRESS, [
-      "function approve(address spender, uint256 amount) public returns (bool)"
-    ], signer);
-
-    const inputAmount = document.querySelector(".IHAVE").value || "0";
-    const amountToApprove = ethers.parseUnits(inputAmount, 18); const tx = await tokenA.approve(CONTRACT_ADDRESS, amountToApprove);
-    alert("Transacción enviada: esperando confirmación...");
-    await tx.wait();
-    alert("Approve exitoso ✅");
+    const signer = await getSigner();
+    const [amountA, amountB] = getLiquidityAmounts();
+
+    const txs = [];
+    for (const [token, amount] of [[TOKEN_A, amountA], [TOKEN_B, amountB]]) {
+      if ((await fetchAllowance(token.address)) >= amount) continue;
+
+      const contract = new ethers.Contract(token.address, abis.token, signer);
+      const tx = await contract.approve(poolAddress, getApprovalAmount(amount));
+      txs.push(trackTransaction(tx, { label: `Approve de ${token.symbol}`, success: `Approve de ${token.symbol} exitoso ✅` }));
+    }
+    await Promise.all(txs);
+    await updateLiquidityApproval();
   } catch (err) {
     console.error("Error al aprobar:", err);
-    alert("❌ Error al hacer el approve");
+    showToast(`❌ ${describeError(err)}`);
   }
 }
 
 /**
- * Executes a token swap from token A to token B using the SimpleSwap contract.
- * Requires approval beforehand. Includes slippage tolerance of 1%.
+ * Adds liquidity with the amounts in the form, accepting the configured slippage on each side.
  */
-async function handleSubmit() {
+async function handleAddLiquidity() {
   try {
-    const signer = await provider.getSigner();
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+    const signer = await getSigner();
+    const contract = new ethers.Contract(poolAddress, abis.pool, signer);
 
-    const inputAmount = document.querySelector(".IHAVE").value;
+    const inputA = document.querySelector(".ADD-A").value;
+    const inputB = document.querySelector(".ADD-B").value;
 
-    if (!inputAmount || isNaN(inputAmount) || parseFloat(inputAmount) <= 0) {
-      alert("Por favor ingresá una cantidad válida");
+    if (!(parseFloat(inputA) > 0) || !(parseFloat(inputB) > 0)) {
+      showToast("Por favor ingresá cantidades válidas");
       return;
     }
 
-    const amountIn = ethers.parseUnits(inputAmount, 18); // asumimos 18 decimales
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 10; // 10 minutos desde ahora
-    const path = [TOKEN_A_ADDRESS, TOKEN_B_ADDRESS];
+    const amountA = ethers.parseUnits(inputA, 18);
+    const amountB = ethers.parseUnits(inputB, 18);
+    const deadline = getDeadline();
     const userAddress = await signer.getAddress();
 
-    // Opción 1: definir un mínimo esperado con 1% de slippage
-    const price = await contract.getPrice(TOKEN_A_ADDRESS, TOKEN_B_ADDRESS);
-    const amountOutMin = amountIn * price / 10n ** 18n * 99n / 100n;
-
-    // Aprobación previa (solo si no lo hiciste antes)
-    const tokenA = new ethers.Contract(TOKEN_A_ADDRESS, [
-      "function approve(address spender, uint256 amount) public returns (bool)"
-    ], signer);
-    //await tokenA.approve(CONTRACT_ADDRESS, amountIn);
-
-    // Ejecutar el swap
-    const tx = await contract.swapExactTokensForTokens(
-      amountIn,
-      amountOutMin,
-      path,
+    const tx = await contract.addLiquidity(
+      TOKEN_A.address,
+      TOKEN_B.address,
+      amountA,
+      amountB,
+      applySlippage(amountA),
+      applySlippage(amountB),
       userAddress,
       deadline
     );
 
-    alert("Transacción enviada. Esperando confirmación...");
-    await tx.wait();
+    await trackTransaction(tx, { label: "Agregar liquidez", success: "Liquidez agregada con éxito ✅" });
+  } catch (err) {
+    console.error("Error al agregar liquidez:", err);
+    showToast(`⚠️ ${describeError(err)}`);
+  }
+}
+
+/**
+ * Returns the SSLP amount selected by the remove-liquidity slider.
+ */
+function getLiquidityToRemove() {
+  const percent = BigInt(document.getElementById("remove-percent").value);
+  return pool.lpBalance * percent / 100n;
+}
+
+/**
+ * Previews the M10 and CR7 amounts returned for the percentage selected in the slider.
+ */
+function previewRemoveLiquidity() {
+  const liquidity = getLiquidityToRemove();
+  const amountA = pool.totalSupply > 0n ? liquidity * pool.reserveA / pool.totalSupply : 0n;
+  const amountB = pool.totalSupply > 0n ? liquidity * pool.reserveB / pool.totalSupply : 0n;
+
+  document.getElementById("removePercentLabel").innerText = document.getElementById("remove-percent").value;
+  document.getElementById("removeM10").innerText = Number(ethers.formatUnits(amountA, 18)).toFixed(2);
+  document.getElementById("removeCR7").innerText = Number(ethers.formatUnits(amountB, 18)).toFixed(2);
+}
+
+/**
+ * Burns the selected share of the user's SSLP and returns M10 and CR7,
+ * with minimum amounts derived from the preview and the slippage tolerance.
+ * The SSLP allowance is given by a signed permit, so no approval transaction is needed.
+ * The signature is skipped when the existing SSLP allowance already covers the removal.
+ */
+async function handleRemoveLiquidity() {
+  try {
+    const signer = await getSigner();
+    const contract = new ethers.Contract(poolAddress, abis.pool, signer);
+
+    await updateLiquidity();
+    const liquidity = getLiquidityToRemove();
+
+    if (liquidity === 0n) {
+      showToast("No hay liquidez para retirar");
+      return;
+    }
+
+    const amountAMin = applySlippage(liquidity * pool.reserveA / pool.totalSupply);
+    const amountBMin = applySlippage(liquidity * pool.reserveB / pool.totalSupply);
+    const deadline = getDeadline();
+    const userAddress = await signer.getAddress();
+    const lpAddress = await contract.lpToken();
+
+    let tx;
+    if ((await fetchAllowance(lpAddress)) >= liquidity) {
+      tx = await contract.removeLiquidity(
+        TOKEN_A.address,
+        TOKEN_B.address,
+        liquidity,
+        amountAMin,
+        amountBMin,
+        userAddress,
+        deadline
+      );
+    } else {
+      const approveMax = settings.approvalMode === "unlimited";
+      const { v, r, s } = await signPermit(signer, lpAddress, getApprovalAmount(liquidity), deadline);
+
+      tx = await contract.removeLiquidityWithPermit(
+        TOKEN_A.address,
+        TOKEN_B.address,
+        liquidity,
+        amountAMin,
+        amountBMin,
+        userAddress,
+        deadline,
+        approveMax,
+        v,
+        r,
+        s
+      );
+    }
 
-    alert("Swap realizado con éxito ✅");
-    await updatePrice();
-    await updateBalances();
+    await trackTransaction(tx, { label: "Retirar liquidez", success: "Liquidez retirada con éxito ✅" });
   } catch (err) {
-    console.error("Error en el swap:", err);
-    alert("⚠️ Hubo un error al hacer el swap. Ver consola.");
+    console.error("Error al retirar liquidez:", err);
+    showToast(`⚠️ ${describeError(err)}`);
   }
-}
\ No newline at end of file
+}
+
+// Show the saved settings and the pool in read-only mode as soon as the page is ready,
+// while the wallets announce themselves for the Connect button
+document.addEventListener("DOMContentLoaded", () => {
+  renderSettings();
+  discoverWallets();
+  connectReadOnly();
+});
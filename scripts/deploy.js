@@ -0,0 +1,153 @@
+// scripts/deploy.js
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { vars } = require("hardhat/config");
+
+/** Chain ids of the local development networks (Hardhat node and in-process network). */
+const LOCAL_CHAIN_IDS = [31337n];
+
+/** Swap fee of the pool in basis points (0.3%). */
+const DEFAULT_SWAP_FEE = 30;
+
+/** Liquidity seeded on local networks, per token. */
+const SEED_AMOUNT = hre.ethers.parseEther("10000");
+
+/** Tokens sent to each funded test account on local networks, per token. */
+const FUND_AMOUNT = hre.ethers.parseEther("1000");
+
+/** Number of test accounts funded on local networks (the deployer is not counted). */
+const FUNDED_ACCOUNTS = 4;
+
+/** Directory where the deployment manifests read by the frontend are written. */
+const MANIFEST_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * Deploys a token, or attaches to it when an address is configured.
+ * @param {string} name Contract name (M10 or CR7)
+ * @param {string} address Existing token address, or an empty string to deploy a new one
+ */
+async function deployOrAttachToken(name, address) {
+  if (address) {
+    console.log(`Reusing ${name} at ${address}`);
+    return hre.ethers.getContractAt(name, address);
+  }
+
+  const token = await hre.ethers.deployContract(name);
+  await token.waitForDeployment();
+  console.log(`${name} deployed to ${await token.getAddress()}`);
+  return token;
+}
+
+/**
+ * Approves and adds the initial liquidity of the pool from the deployer, 1:1.
+ */
+async function seedLiquidity(swap, tokenA, tokenB, deployer) {
+  const swapAddress = await swap.getAddress();
+  const deadline = (await hre.ethers.provider.getBlock("latest")).timestamp + 3600;
+
+  await (await tokenA.approve(swapAddress, SEED_AMOUNT)).wait();
+  await (await tokenB.approve(swapAddress, SEED_AMOUNT)).wait();
+  await (await swap.addLiquidity(
+    await tokenA.getAddress(),
+    await tokenB.getAddress(),
+    SEED_AMOUNT,
+    SEED_AMOUNT,
+    0,
+    0,
+    await deployer.getAddress(),
+    deadline
+  )).wait();
+
+  console.log(`Seeded ${hre.ethers.formatEther(SEED_AMOUNT)} M10 / ${hre.ethers.formatEther(SEED_AMOUNT)} CR7`);
+}
+
+/**
+ * Sends FUND_AMOUNT of both tokens to the first test accounts after the deployer.
+ */
+async function fundAccounts(tokenA, tokenB, accounts) {
+  for (const account of accounts) {
+    await (await tokenA.transfer(await account.getAddress(), FUND_AMOUNT)).wait();
+    await (await tokenB.transfer(await account.getAddress(), FUND_AMOUNT)).wait();
+  }
+
+  console.log(`Funded ${accounts.length} accounts with ${hre.ethers.formatEther(FUND_AMOUNT)} M10 and CR7`);
+}
+
+/**
+ * Writes the deployment manifest of a chain to `<manifestDir>/chain-<chainId>.json`.
+ * @returns {string} Path of the manifest
+ */
+function writeManifest(manifest, manifestDir) {
+  fs.mkdirSync(manifestDir, { recursive: true });
+
+  const file = path.join(manifestDir, `chain-${manifest.chainId}.json`);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Deploys M10, CR7 and SimpleSwap on the current network and writes the manifest the frontend reads.
+ * Token addresses configured with `npx hardhat vars set M10_ADDRESS` / `CR7_ADDRESS` are reused.
+ * On local networks the pool is seeded and the test accounts are funded.
+ * @param {object} [options]
+ * @param {string} [options.tokenA] Existing M10 address (defaults to the M10_ADDRESS var)
+ * @param {string} [options.tokenB] Existing CR7 address (defaults to the CR7_ADDRESS var)
+ * @param {number} [options.swapFee] Swap fee in basis points
+ * @param {string} [options.manifestDir] Directory of the manifest
+ * @returns {Promise<object>} The manifest
+ */
+async function deploy({
+  tokenA: tokenAAddress = vars.get("M10_ADDRESS", ""),
+  tokenB: tokenBAddress = vars.get("CR7_ADDRESS", ""),
+  swapFee = DEFAULT_SWAP_FEE,
+  manifestDir = MANIFEST_DIR,
+} = {}) {
+  const [deployer, ...accounts] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const isLocal = LOCAL_CHAIN_IDS.includes(chainId);
+
+  console.log(`Deploying to ${hre.network.name} (${chainId}) from ${await deployer.getAddress()}`);
+
+  const tokenA = await deployOrAttachToken("M10", tokenAAddress);
+  const tokenB = await deployOrAttachToken("CR7", tokenBAddress);
+
+  const swap = await hre.ethers.deployContract("SimpleSwap", [
+    await tokenA.getAddress(),
+    await tokenB.getAddress(),
+    swapFee,
+    await deployer.getAddress(),
+  ]);
+  // Block of the pool deployment, the first block the frontend queries events from (the seed deposit included)
+  const { blockNumber } = await swap.deploymentTransaction().wait();
+  console.log(`SimpleSwap deployed to ${await swap.getAddress()}`);
+
+  if (isLocal) {
+    await seedLiquidity(swap, tokenA, tokenB, deployer);
+    await fundAccounts(tokenA, tokenB, accounts.slice(0, FUNDED_ACCOUNTS));
+  }
+
+  const manifest = {
+    chainId: Number(chainId),
+    network: hre.network.name,
+    pool: await swap.getAddress(),
+    tokenA: await tokenA.getAddress(),
+    tokenB: await tokenB.getAddress(),
+    lpToken: await swap.lpToken(),
+    swapFee,
+    owner: await deployer.getAddress(),
+    blockNumber,
+  };
+
+  console.log(`Manifest written to ${writeManifest(manifest, manifestDir)}`);
+  return manifest;
+}
+
+if (require.main === module) {
+  deploy().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { deploy };
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("../scripts/deploy");
+const SimpleSwapPoolModule = require("../ignition/modules/SimpleSwap");
+const SimpleSwapWithTokensModule = require("../ignition/modules/SimpleSwapWithTokens");
+
+describe("Deployment", function () {
+    /// @notice Temporary directory the manifests of each test are written to
+    let manifestDir;
+
+    /// @notice Chain state before each test. Every deployment mines many blocks, which pushes the chain
+    /// clock ahead of the wall clock that other test files base their deadlines on, so it is restored after each test
+    let snapshot;
+
+    beforeEach(async function () {
+        manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleswap-deploy-"));
+        snapshot = await takeSnapshot();
+    });
+
+    afterEach(async function () {
+        fs.rmSync(manifestDir, { recursive: true, force: true });
+        await snapshot.restore();
+    });
+
+    //1. DEPLOY SCRIPT TESTS
+
+    /// @test 1.1 - Should deploy tokens and pool, seed liquidity and fund test accounts locally
+    it("1.1 - Should deploy tokens and pool, seed liquidity and fund test accounts locally", async function () {
+        const [owner, user1, user2, user3, user4, user5] = await ethers.getSigners();
+
+        const manifest = await deploy({ manifestDir });
+
+        const swap = await ethers.getContractAt("SimpleSwap", manifest.pool);
+        const tokenA = await ethers.getContractAt("M10", manifest.tokenA);
+        const tokenB = await ethers.getContractAt("CR7", manifest.tokenB);
+
+        expect(await swap.tokenA()).to.equal(manifest.tokenA);
+        expect(await swap.tokenB()).to.equal(manifest.tokenB);
+        expect(await swap.lpToken()).to.equal(manifest.lpToken);
+        expect(await swap.owner()).to.equal(await owner.getAddress());
+        expect(await swap.reserveA()).to.equal(ethers.parseEther("10000"));
+        expect(await swap.reserveB()).to.equal(ethers.parseEther("10000"));
+
+        for (const account of [user1, user2, user3, user4]) {
+            expect(await tokenA.balanceOf(await account.getAddress())).to.equal(ethers.parseEther("1000"));
+            expect(await tokenB.balanceOf(await account.getAddress())).to.equal(ethers.parseEther("1000"));
+        }
+        expect(await tokenA.balanceOf(await user5.getAddress())).to.equal(0);
+    });
+
+    /// @test 1.2 - Should write a manifest named after the chain id
+    it("1.2 - Should write a manifest named after the chain id", async function () {
+        const manifest = await deploy({ manifestDir });
+
+        const written = JSON.parse(fs.readFileSync(path.join(manifestDir, "chain-31337.json"), "utf8"));
+
+        expect(written).to.deep.equal(manifest);
+        expect(written.chainId).to.equal(31337);
+        expect(written.swapFee).to.equal(30);
+    });
+
+    /// @test 1.3 - Should record the pool deployment block, so the seed deposit is found from it
+    it("1.3 - Should record the pool deployment block, so the seed deposit is found from it", async function () {
+        const [owner] = await ethers.getSigners();
+        const manifest = await deploy({ manifestDir });
+
+        const swap = await ethers.getContractAt("SimpleSwap", manifest.pool);
+        const events = await swap.queryFilter(
+            swap.filters.LiquidityAdded(await owner.getAddress()),
+            manifest.blockNumber,
+            "latest"
+        );
+
+        expect(await ethers.provider.getCode(manifest.pool, manifest.blockNumber - 1)).to.equal("0x");
+        expect(events).to.have.lengthOf(1);
+        expect(events[0].args.amountA).to.equal(ethers.parseEther("10000"));
+    });
+
+    /// @test 1.4 - Should reuse configured token addresses instead of deploying new tokens
+    it("1.4 - Should reuse configured token addresses instead of deploying new tokens", async function () {
+        const tokenA = await ethers.deployContract("M10");
+        const tokenB = await ethers.deployContract("CR7");
+
+        const manifest = await deploy({
+            tokenA: await tokenA.getAddress(),
+            tokenB: await tokenB.getAddress(),
+            manifestDir,
+        });
+
+        expect(manifest.tokenA).to.equal(await tokenA.getAddress());
+        expect(manifest.tokenB).to.equal(await tokenB.getAddress());
+    });
+
+    //2. IGNITION MODULE TESTS
+
+    /// @test 2.1 - Should deploy the pool for the tokens given as parameters
+    it("2.1 - Should deploy the pool for the tokens given as parameters", async function () {
+        const tokenA = await ethers.deployContract("M10");
+        const tokenB = await ethers.deployContract("CR7");
+
+        const { swap } = await ignition.deploy(SimpleSwapPoolModule, {
+            parameters: {
+                SimpleSwapPoolModule: {
+                    tokenA: await tokenA.getAddress(),
+                    tokenB: await tokenB.getAddress(),
+                    swapFee: 25,
+                },
+            },
+        });
+
+        expect(await swap.tokenA()).to.equal(await tokenA.getAddress());
+        expect(await swap.tokenB()).to.equal(await tokenB.getAddress());
+        expect(await swap.swapFee()).to.equal(25);
+    });
+
+    /// @test 2.2 - Should deploy fresh tokens with a seeded pool
+    it("2.2 - Should deploy fresh tokens with a seeded pool", async function () {
+        const seedAmount = ethers.parseEther("500");
+
+        const { tokenA, tokenB, swap } = await ignition.deploy(SimpleSwapWithTokensModule, {
+            parameters: {
+                SimpleSwapWithTokensModule: { seedAmountA: seedAmount, seedAmountB: seedAmount * 2n },
+            },
+        });
+
+        expect(await swap.tokenA()).to.equal(await tokenA.getAddress());
+        expect(await swap.tokenB()).to.equal(await tokenB.getAddress());
+        expect(await swap.reserveA()).to.equal(seedAmount);
+        expect(await swap.reserveB()).to.equal(seedAmount * 2n);
+    });
+
+    /// @test 2.3 - Should not reuse a future id of the committed Sepolia deployment
+    it("2.3 - Should not reuse a future id of the committed Sepolia deployment", async function () {
+        const deployedAddresses = require("../ignition/deployments/chain-11155111/deployed_addresses.json");
+
+        for (const module of [SimpleSwapPoolModule, SimpleSwapWithTokensModule]) {
+            for (const future of module.futures) {
+                expect(deployedAddresses).to.not.have.property(future.id);
+            }
+        }
+    });
+});
@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { sqrt, buildCostBasis, computePosition } = require("../lpPosition");
+
+describe("LPPosition", function () {
+    const e = (amount) => ethers.parseEther(amount);
+
+    /// @notice Deposit event with the SSLP minted as in SimpleSwap (sqrt(a*b) on an empty pool, pro-rata after)
+    const add = (amountA, amountB, liquidity) => ({ type: "add", amountA, amountB, liquidity });
+
+    /// @notice Withdrawal event
+    const remove = (amountA, amountB, liquidity) => ({ type: "remove", amountA, amountB, liquidity });
+
+    //1. MATH TESTS
+
+    /// @test 1.1 - Should compute the integer square root
+    it("1.1 - Should compute the integer square root", async function () {
+        expect(sqrt(0n)).to.equal(0n);
+        expect(sqrt(1n)).to.equal(1n);
+        expect(sqrt(15n)).to.equal(3n);
+        expect(sqrt(16n)).to.equal(4n);
+        expect(sqrt(e("1000") * e("4000"))).to.equal(e("2000"));
+        expect(() => sqrt(-1n)).to.throw(RangeError);
+    });
+
+    //2. POSITION TESTS
+
+    /// @test 2.1 - Should report no loss and no fees right after a deposit
+    it("2.1 - Should report no loss and no fees right after a deposit", async function () {
+        const position = computePosition({
+            events: [add(e("100"), e("100"), e("100"))],
+            lpBalance: e("100"),
+            reserveA: e("1000"),
+            reserveB: e("1000"),
+            totalSupply: e("1000"),
+        });
+
+        expect(position.underlyingA).to.equal(e("100"));
+        expect(position.underlyingB).to.equal(e("100"));
+        expect(position.positionValue).to.equal(e("200"));
+        expect(position.holdValue).to.equal(e("200"));
+        expect(position.feesValue).to.equal(0n);
+        expect(position.impermanentLoss).to.equal(0n);
+    });
+
+    /// @test 2.2 - Should report the textbook impermanent loss after a 4x price move without fees
+    it("2.2 - Should report the textbook impermanent loss after a 4x price move without fees", async function () {
+        // k stays at 1000 * 1000 while the price of A goes from 1 to 4 B
+        const position = computePosition({
+            events: [add(e("100"), e("100"), e("100"))],
+            lpBalance: e("100"),
+            reserveA: e("500"),
+            reserveB: e("2000"),
+            totalSupply: e("1000"),
+        });
+
+        // Hold: 100 A * 4 + 100 B = 500 B; position: 50 A * 4 + 200 B = 400 B, a 20% loss
+        expect(position.holdValue).to.equal(e("500"));
+        expect(position.positionValue).to.equal(e("400"));
+        expect(position.feesValue).to.equal(0n);
+        expect(position.impermanentLoss).to.equal(-e("100"));
+        expect(position.impermanentLossBps).to.equal(-2000n);
+    });
+
+    /// @test 2.3 - Should attribute the growth of k per SSLP to fees
+    it("2.3 - Should attribute the growth of k per SSLP to fees", async function () {
+        // Swaps left fees in the pool at an unchanged price: sqrt(k) grew from 1000 to 1010
+        const position = computePosition({
+            events: [add(e("100"), e("100"), e("100"))],
+            lpBalance: e("100"),
+            reserveA: e("1010"),
+            reserveB: e("1010"),
+            totalSupply: e("1000"),
+        });
+
+        expect(position.positionValue).to.equal(e("202"));
+        expect(position.feesA).to.be.closeTo(e("1"), 1000n);
+        expect(position.feesB).to.be.closeTo(e("1"), 1000n);
+        expect(position.feesValue).to.be.closeTo(e("2"), 1000n);
+        expect(position.impermanentLoss).to.be.closeTo(0n, 1000n);
+    });
+
+    //3. COST BASIS TESTS
+
+    /// @test 3.1 - Should add up the cost of multiple deposits and average their entry
+    it("3.1 - Should add up the cost of multiple deposits and average their entry", async function () {
+        // Second deposit after fees grew sqrt(k) per SSLP by 10%: 110 A / 110 B mint 100 SSLP
+        const events = [add(e("100"), e("100"), e("100")), add(e("110"), e("110"), e("100"))];
+        const basis = buildCostBasis(events);
+
+        expect(basis.liquidity).to.equal(e("200"));
+        expect(basis.costA).to.equal(e("210"));
+        expect(basis.costB).to.equal(e("210"));
+        expect(basis.sqrtKPerShare).to.equal(e("1.05"));
+
+        // Pool at 1100 / 1100 with 1000 SSLP: the first deposit earned 10, the second nothing
+        const position = computePosition({
+            events,
+            lpBalance: e("200"),
+            reserveA: e("1100"),
+            reserveB: e("1100"),
+            totalSupply: e("1000"),
+        });
+
+        expect(position.positionValue).to.equal(e("440"));
+        expect(position.holdValue).to.equal(e("420"));
+        expect(position.feesValue).to.be.closeTo(e("20"), 1000n);
+        expect(position.impermanentLoss).to.be.closeTo(0n, 1000n);
+    });
+
+    /// @test 3.2 - Should reduce the cost basis pro-rata on a partial withdrawal
+    it("3.2 - Should reduce the cost basis pro-rata on a partial withdrawal", async function () {
+        const events = [
+            add(e("100"), e("100"), e("100")),
+            add(e("110"), e("110"), e("100")),
+            remove(e("55"), e("55"), e("50")),
+        ];
+        const basis = buildCostBasis(events);
+
+        // A quarter of the SSLP was burned, so a quarter of the cost is gone and the entry is unchanged
+        expect(basis.liquidity).to.equal(e("150"));
+        expect(basis.costA).to.equal(e("157.5"));
+        expect(basis.costB).to.equal(e("157.5"));
+        expect(basis.sqrtKPerShare).to.equal(e("1.05"));
+
+        // A full withdrawal clears the basis
+        const empty = buildCostBasis([...events, remove(e("165"), e("165"), e("150"))]);
+        expect(empty.liquidity).to.equal(0n);
+        expect(empty.costA).to.equal(0n);
+        expect(empty.sqrtKPerShare).to.equal(0n);
+    });
+
+    /// @test 3.3 - Should scale the cost basis to the SSLP balance after a transfer
+    it("3.3 - Should scale the cost basis to the SSLP balance after a transfer", async function () {
+        const position = computePosition({
+            events: [add(e("100"), e("100"), e("100"))],
+            lpBalance: e("40"),
+            reserveA: e("1000"),
+            reserveB: e("1000"),
+            totalSupply: e("1000"),
+        });
+
+        expect(position.costA).to.equal(e("40"));
+        expect(position.costB).to.equal(e("40"));
+        expect(position.positionValue).to.equal(e("80"));
+        expect(position.impermanentLoss).to.equal(0n);
+    });
+});
@@ -4,6 +4,9 @@ const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers"
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("SimpleSwap", function () {
+    /// @notice Swap fee used by the fixture, in basis points (0.3%)
+    const SWAP_FEE = 30;
+
     /**
      * @notice Deploys M10, CR7 and SimpleSwap contracts, returning key actors and instances.
      * @dev This fixture is reused across all test cases to reduce gas cost and improve readability.
@@ -22,7 +25,9 @@ describe("SimpleSwap", function () {
 
         const swap = await SimpleSwap.deploy(
             await tokenA.getAddress(),
-            await tokenB.getAddress()
+            await tokenB.getAddress(),
+            SWAP_FEE,
+            await owner.getAddress()
         );
         await swap.waitForDeployment();
 
@@ -111,7 +116,7 @@ describe("SimpleSwap", function () {
                 ownerAddress,
                 deadline
             )
-        ).to.be.revertedWith("Transact expired");
+        ).to.be.revertedWithCustomError(swap, "Expired");
     });
 
     /// @test 1.3 - Should revert if the token pair is provided in the wrong order
@@ -148,7 +153,7 @@ describe("SimpleSwap", function () {
                 ownerAddress,
                 deadline
             )
-        ).to.be.revertedWith("bad pair");
+        ).to.be.revertedWithCustomError(swap, "InvalidPair");
     });
 
     /// @test 1.4 - Should revert if one of the tokens is not part of the expected pair
@@ -187,7 +192,7 @@ describe("SimpleSwap", function () {
                 ownerAddress,
                 deadline
             )
-        ).to.be.revertedWith("bad pair");
+        ).to.be.revertedWithCustomError(swap, "InvalidPair");
     });
 
     /// @test 1.5 - Should revert if amountBOptimal is less than amountBMin
@@ -242,7 +247,7 @@ describe("SimpleSwap", function () {
                 ownerAddress,
                 deadline
             )
-        ).to.be.revertedWith("B low");
+        ).to.be.revertedWithCustomError(swap, "InsufficientBAmount");
     });
 
 
@@ -261,7 +266,8 @@ describe("SimpleSwap", function () {
         const amountBDes = 10_000;
         const amountAMin = 0;
         const amountBMin = 0;
-        const liquidityToRemove = 10_000;
+        const minimumLiquidity = 1_000; // locked forever on the first deposit
+        const liquidityToRemove = 10_000 - minimumLiquidity;
 
         //Set valid deadline
         const deadline = Math.floor(Date.now() / 1000) + 60;
@@ -282,7 +288,9 @@ describe("SimpleSwap", function () {
             deadline
         );
 
-        // Step 2: Remove liquidity
+        // Step 2: Approve the LP tokens and remove liquidity
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+        await lpToken.connect(owner).approve(swapAddress, liquidityToRemove);
         await
             swap.connect(owner).removeLiquidity(
                 tokenAAddress,
@@ -294,19 +302,19 @@ describe("SimpleSwap", function () {
                 deadline
             )
 
-        // Step 3: Verify that reserves are zero
+        // Step 3: Verify that only the locked minimum liquidity backs the reserves
         const reserveA = await swap.reserveA();
         const reserveB = await swap.reserveB();
 
-        expect(reserveA).to.equal(0);
-        expect(reserveB).to.equal(0);
+        expect(reserveA).to.equal(minimumLiquidity);
+        expect(reserveB).to.equal(minimumLiquidity);
 
-        // Optional: confirm balances of contract are zero
+        // Optional: confirm balances of contract match the reserves
         const contractTokenABalance = await tokenA.balanceOf(swapAddress);
         const contractTokenBBalance = await tokenB.balanceOf(swapAddress);
 
-        expect(contractTokenABalance).to.equal(0);
-        expect(contractTokenBBalance).to.equal(0);
+        expect(contractTokenABalance).to.equal(minimumLiquidity);
+        expect(contractTokenBBalance).to.equal(minimumLiquidity);
 
     });
 
@@ -359,7 +367,7 @@ describe("SimpleSwap", function () {
                 ownerAddress,
                 expiredDeadline
             )
-        ).to.be.revertedWith("Transact expired");
+        ).to.be.revertedWithCustomError(swap, "Expired");
     });
 
     /// @test 2.3 - Should revert if token order is inverted
@@ -405,7 +413,7 @@ describe("SimpleSwap", function () {
                 ownerAddress,
                 deadline
             )
-        ).to.be.revertedWith("bad pair");
+        ).to.be.revertedWithCustomError(swap, "InvalidPair");
     });
 
     /// @test 2.4 - Should revert if using an unknown token
@@ -433,7 +441,7 @@ describe("SimpleSwap", function () {
                 ownerAddress,
                 deadline
             )
-        ).to.be.revertedWith("bad pair");
+        ).to.be.revertedWithCustomError(swap, "InvalidPair");
     });
 
     /// @test 2.5 - Should revert if trying to remove more liquidity than available
@@ -479,7 +487,7 @@ describe("SimpleSwap", function () {
                 ownerAddress,
                 deadline
             )
-        ).to.be.revertedWith("LP low");
+        ).to.be.revertedWithCustomError(swap, "InsufficientLPBalance");
     });
 
 
@@ -540,7 +548,7 @@ describe("SimpleSwap", function () {
                 tokenAAddress,
                 fakeTokenAddress // invalid token
             )
-        ).to.be.revertedWith("Invalid tokens");
+        ).to.be.revertedWithCustomError(swap, "InvalidPair");
     });
 
     /// @test 3.3 - Should revert if reserveA is zero
@@ -555,7 +563,7 @@ describe("SimpleSwap", function () {
                 tokenBAddress, // inverted order
                 tokenAAddress
             )
-        ).to.be.revertedWith("No A reserve");
+        ).to.be.revertedWithCustomError(swap, "EmptyReserves");
     });
 
 
@@ -570,7 +578,8 @@ describe("SimpleSwap", function () {
         const reserveIn = 5000;
         const reserveOut = 10000;
 
-        const expected = Math.floor((amountIn * reserveOut) / (reserveIn + amountIn));
+        const amountInWithFee = amountIn * (10_000 - SWAP_FEE);
+        const expected = Math.floor((amountInWithFee * reserveOut) / (reserveIn * 10_000 + amountInWithFee));
         const result = await swap.getAmountOut(amountIn, reserveIn, reserveOut);
 
         expect(result).to.equal(expected);
@@ -586,7 +595,7 @@ describe("SimpleSwap", function () {
 
         await expect(
             swap.getAmountOut(amountIn, reserveIn, reserveOut)
-        ).to.be.revertedWith("amountIn < 0");
+        ).to.be.revertedWithCustomError(swap, "ZeroAmount");
     });
 
     /// @test 4.3 - Should fail if reserveIn is 0
@@ -599,7 +608,7 @@ describe("SimpleSwap", function () {
 
         await expect(
             swap.getAmountOut(amountIn, reserveIn, reserveOut)
-        ).to.be.revertedWith("Reserves < 0");
+        ).to.be.revertedWithCustomError(swap, "EmptyReserves");
     });
 
     /// @test 4.4 - Should fail if reserveOut is 0
@@ -612,7 +621,7 @@ describe("SimpleSwap", function () {
 
         await expect(
             swap.getAmountOut(amountIn, reserveIn, reserveOut)
-        ).to.be.revertedWith("Reserves < 0");
+        ).to.be.revertedWithCustomError(swap, "EmptyReserves");
     });
 
     /// @test 4.5 - Should fail if both reserves are 0
@@ -625,8 +634,1190 @@ describe("SimpleSwap", function () {
 
         await expect(
             swap.getAmountOut(amountIn, reserveIn, reserveOut)
-        ).to.be.revertedWith("Reserves < 0");
+        ).to.be.revertedWithCustomError(swap, "EmptyReserves");
+    });
+
+
+
+    //6. SWAP FEE TESTS
+
+    /**
+     * @notice Seeds the pool with 1,000 M10 / 1,000 CR7 and funds user1 for swapping.
+     */
+    async function liquidityFixture() {
+        const fixture = await deployFixture();
+        const { owner, user1, tokenA, tokenB, swap } = fixture;
+
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 3600;
+
+        await tokenA.connect(owner).approve(swapAddress, ethers.parseEther("1000"));
+        await tokenB.connect(owner).approve(swapAddress, ethers.parseEther("1000"));
+        await swap.connect(owner).addLiquidity(
+            await tokenA.getAddress(),
+            await tokenB.getAddress(),
+            ethers.parseEther("1000"),
+            ethers.parseEther("1000"),
+            0,
+            0,
+            await owner.getAddress(),
+            deadline
+        );
+
+        await tokenA.connect(owner).transfer(await user1.getAddress(), ethers.parseEther("10000"));
+        await tokenB.connect(owner).transfer(await user1.getAddress(), ethers.parseEther("10000"));
+        await tokenA.connect(user1).approve(swapAddress, ethers.MaxUint256);
+        await tokenB.connect(user1).approve(swapAddress, ethers.MaxUint256);
+
+        return fixture;
+    }
+
+    /// @notice Integer square root used to value LP tokens as sqrt(reserveA * reserveB) / supply
+    function sqrt(value) {
+        if (value < 2n) return value;
+        let x = value;
+        let y = (x + 1n) / 2n;
+        while (y < x) {
+            x = y;
+            y = (x + value / x) / 2n;
+        }
+        return x;
+    }
+
+    /// @test 6.1 - Should set the swap fee at construction
+    it("6.1 - Should set the swap fee at construction", async function () {
+        const { swap } = await loadFixture(deployFixture);
+
+        expect(await swap.swapFee()).to.equal(SWAP_FEE);
     });
 
+    /// @test 6.2 - Should revert deployment if the fee is above the cap
+    it("6.2 - Should revert deployment if the fee is above the cap", async function () {
+        const { owner, tokenA, tokenB, swap } = await loadFixture(deployFixture);
+
+        const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+        const maxFee = await swap.MAX_SWAP_FEE();
+
+        await expect(
+            SimpleSwap.deploy(await tokenA.getAddress(), await tokenB.getAddress(), maxFee + 1n, await owner.getAddress())
+        ).to.be.revertedWithCustomError(swap, "FeeTooHigh").withArgs(maxFee + 1n, maxFee);
+    });
+
+    /// @test 6.3 - Should let the owner update the fee and emit FeeUpdated
+    it("6.3 - Should let the owner update the fee and emit FeeUpdated", async function () {
+        const { owner, swap } = await loadFixture(deployFixture);
+
+        await expect(swap.connect(owner).setSwapFee(50))
+            .to.emit(swap, "FeeUpdated")
+            .withArgs(SWAP_FEE, 50);
+
+        expect(await swap.swapFee()).to.equal(50);
+    });
+
+    /// @test 6.4 - Should revert if a non-owner updates the fee
+    it("6.4 - Should revert if a non-owner updates the fee", async function () {
+        const { user1, swap } = await loadFixture(deployFixture);
+
+        await expect(swap.connect(user1).setSwapFee(50))
+            .to.be.revertedWithCustomError(swap, "OwnableUnauthorizedAccount")
+            .withArgs(await user1.getAddress());
+    });
+
+    /// @test 6.5 - Should revert if the new fee is above the cap
+    it("6.5 - Should revert if the new fee is above the cap", async function () {
+        const { owner, swap } = await loadFixture(deployFixture);
+
+        const maxFee = await swap.MAX_SWAP_FEE();
+
+        await expect(swap.connect(owner).setSwapFee(maxFee + 1n))
+            .to.be.revertedWithCustomError(swap, "FeeTooHigh")
+            .withArgs(maxFee + 1n, maxFee);
+    });
+
+    /// @test 6.6 - Should pay out exactly what getAmountOut quotes
+    it("6.6 - Should pay out exactly what getAmountOut quotes", async function () {
+        const { user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const user1Address = await user1.getAddress();
+        const amountIn = ethers.parseEther("10");
+        const deadline = (await time.latest()) + 3600;
+
+        const quote = await swap.getAmountOut(amountIn, await swap.reserveA(), await swap.reserveB());
+        const noFeeQuote = amountIn * ethers.parseEther("1000") / (ethers.parseEther("1000") + amountIn);
+        expect(quote).to.be.lessThan(noFeeQuote);
+
+        await expect(
+            swap.connect(user1).swapExactTokensForTokens(
+                amountIn,
+                quote,
+                [tokenAAddress, tokenBAddress],
+                user1Address,
+                deadline
+            )
+        ).to.emit(swap, "TokensSwapped").withArgs(user1Address, tokenAAddress, amountIn, tokenBAddress, quote);
+    });
+
+    /// @test 6.7 - Should grow the value of each LP token after a series of swaps
+    it("6.7 - Should grow the value of each LP token after a series of swaps", async function () {
+        const { user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const user1Address = await user1.getAddress();
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+        const supply = await lpToken.totalSupply();
 
-});
\ No newline at end of file
+        const valueBefore = sqrt((await swap.reserveA()) * (await swap.reserveB())) * 10n ** 18n / supply;
+
+        // Trade back and forth so price ends close to where it started
+        for (let i = 0; i < 5; i++) {
+            const deadline = (await time.latest()) + 3600;
+            const balanceB = await tokenB.balanceOf(user1Address);
+
+            await swap.connect(user1).swapExactTokensForTokens(
+                ethers.parseEther("50"), 0, [tokenAAddress, tokenBAddress], user1Address, deadline
+            );
+            const received = (await tokenB.balanceOf(user1Address)) - balanceB;
+
+            await swap.connect(user1).swapExactTokensForTokens(
+                received, 0, [tokenBAddress, tokenAAddress], user1Address, deadline
+            );
+        }
+
+        const valueAfter = sqrt((await swap.reserveA()) * (await swap.reserveB())) * 10n ** 18n / supply;
+
+        expect(await lpToken.totalSupply()).to.equal(supply);
+        expect(valueAfter).to.be.greaterThan(valueBefore);
+    });
+
+
+    //7. EXACT OUTPUT SWAP TESTS
+
+    /// @test 7.1 - Should return the fee-aware amountIn rounded up
+    it("7.1 - Should return the fee-aware amountIn rounded up", async function () {
+        const { swap } = await loadFixture(deployFixture);
+
+        const amountOut = 1000n;
+        const reserveIn = 5000n;
+        const reserveOut = 10000n;
+
+        const expected = reserveIn * amountOut * 10_000n / ((reserveOut - amountOut) * BigInt(10_000 - SWAP_FEE)) + 1n;
+        const result = await swap.getAmountIn(amountOut, reserveIn, reserveOut);
+
+        expect(result).to.equal(expected);
+    });
+
+    /// @test 7.2 - Should never quote an amountIn that yields less than amountOut
+    it("7.2 - Should never quote an amountIn that yields less than amountOut", async function () {
+        const { swap } = await loadFixture(deployFixture);
+
+        const reserveIn = ethers.parseEther("1234.5");
+        const reserveOut = ethers.parseEther("987.6");
+
+        for (const amountOut of [1n, 999n, ethers.parseEther("0.3"), ethers.parseEther("42"), ethers.parseEther("900")]) {
+            const amountIn = await swap.getAmountIn(amountOut, reserveIn, reserveOut);
+
+            expect(await swap.getAmountOut(amountIn, reserveIn, reserveOut)).to.be.greaterThanOrEqual(amountOut);
+            expect(await swap.getAmountOut(amountIn - 1n, reserveIn, reserveOut)).to.be.lessThan(amountOut);
+        }
+    });
+
+    /// @test 7.3 - Should fail if amountOut is 0 or not below reserveOut
+    it("7.3 - Should fail if amountOut is 0 or not below reserveOut", async function () {
+        const { swap } = await loadFixture(deployFixture);
+
+        await expect(swap.getAmountIn(0, 1000, 1000)).to.be.revertedWithCustomError(swap, "ZeroAmount");
+        await expect(swap.getAmountIn(100, 0, 1000)).to.be.revertedWithCustomError(swap, "EmptyReserves");
+        await expect(swap.getAmountIn(1000, 1000, 1000))
+            .to.be.revertedWithCustomError(swap, "InsufficientReserveOut")
+            .withArgs(1000, 1000);
+    });
+
+    /// @test 7.4 - Should deliver exactly amountOut and charge getAmountIn
+    it("7.4 - Should deliver exactly amountOut and charge getAmountIn", async function () {
+        const { user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const user1Address = await user1.getAddress();
+        const amountOut = ethers.parseEther("25");
+        const deadline = (await time.latest()) + 3600;
+
+        // Buy token A with token B (reverse direction)
+        const amountIn = await swap.getAmountIn(amountOut, await swap.reserveB(), await swap.reserveA());
+
+        await expect(
+            swap.connect(user1).swapTokensForExactTokens(
+                amountOut,
+                amountIn,
+                [tokenBAddress, tokenAAddress],
+                user1Address,
+                deadline
+            )
+        ).to.changeTokenBalances(tokenA, [user1, swap], [amountOut, -amountOut]);
+
+        expect(await swap.reserveA()).to.equal(ethers.parseEther("1000") - amountOut);
+        expect(await swap.reserveB()).to.equal(ethers.parseEther("1000") + amountIn);
+    });
+
+    /// @test 7.5 - Should revert if the required input exceeds amountInMax
+    it("7.5 - Should revert if the required input exceeds amountInMax", async function () {
+        const { user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const amountOut = ethers.parseEther("25");
+        const deadline = (await time.latest()) + 3600;
+        const amountIn = await swap.getAmountIn(amountOut, await swap.reserveA(), await swap.reserveB());
+
+        await expect(
+            swap.connect(user1).swapTokensForExactTokens(
+                amountOut,
+                amountIn - 1n,
+                [await tokenA.getAddress(), await tokenB.getAddress()],
+                await user1.getAddress(),
+                deadline
+            )
+        ).to.be.revertedWithCustomError(swap, "ExcessiveInputAmount").withArgs(amountIn, amountIn - 1n);
+    });
+
+    /// @test 7.6 - Should revert if asking for the whole output reserve
+    it("7.6 - Should revert if asking for the whole output reserve", async function () {
+        const { user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const deadline = (await time.latest()) + 3600;
+
+        await expect(
+            swap.connect(user1).swapTokensForExactTokens(
+                await swap.reserveB(),
+                ethers.MaxUint256,
+                [await tokenA.getAddress(), await tokenB.getAddress()],
+                await user1.getAddress(),
+                deadline
+            )
+        ).to.be.revertedWithCustomError(swap, "InsufficientReserveOut");
+    });
+
+
+    //8. FLASH SWAP TESTS
+
+    /**
+     * @notice Adds a FlashBorrower on top of the seeded pool and funds it with 10 CR7 to pay fees.
+     */
+    async function flashFixture() {
+        const fixture = await liquidityFixture();
+        const { owner, tokenB, swap } = fixture;
+
+        const FlashBorrower = await ethers.getContractFactory("FlashBorrower");
+        const borrower = await FlashBorrower.deploy(await swap.getAddress(), await owner.getAddress());
+        await tokenB.connect(owner).transfer(await borrower.getAddress(), ethers.parseEther("10"));
+
+        return { ...fixture, borrower };
+    }
+
+    /// @notice Smallest repayment that covers the swap fee on a same-token flash loan
+    function minimumRepayment(amount) {
+        const denominator = BigInt(10_000 - SWAP_FEE);
+        return (amount * 10_000n + denominator - 1n) / denominator;
+    }
+
+    /// @test 8.1 - Should lend tokens during the callback and accept a repayment that covers the fee
+    it("8.1 - Should lend tokens during the callback and accept a repayment that covers the fee", async function () {
+        const { tokenB, swap, borrower } = await loadFixture(flashFixture);
+
+        const tokenBAddress = await tokenB.getAddress();
+        const amount = ethers.parseEther("100");
+        const repayAmount = minimumRepayment(amount);
+        const reserveB = await swap.reserveB();
+
+        await expect(borrower.flashBorrow(tokenBAddress, amount, repayAmount))
+            .to.emit(borrower, "Borrowed").withArgs(tokenBAddress, amount, repayAmount)
+            .and.to.emit(swap, "Swap");
+
+        // The pool keeps the fee
+        expect(await swap.reserveB()).to.equal(reserveB - amount + repayAmount);
+        expect(await tokenB.balanceOf(await swap.getAddress())).to.equal(reserveB - amount + repayAmount);
+    });
+
+    /// @test 8.2 - Should revert if the repayment falls short of the fee
+    it("8.2 - Should revert if the repayment falls short of the fee", async function () {
+        const { tokenB, swap, borrower } = await loadFixture(flashFixture);
+
+        const amount = ethers.parseEther("100");
+
+        await expect(
+            borrower.flashBorrow(await tokenB.getAddress(), amount, minimumRepayment(amount) - 1n)
+        ).to.be.revertedWithCustomError(swap, "KInvariant");
+
+        // Repaying only the principal is not enough either
+        await expect(
+            borrower.flashBorrow(await tokenB.getAddress(), amount, amount)
+        ).to.be.revertedWithCustomError(swap, "KInvariant");
+    });
+
+    /// @test 8.3 - Should perform a plain swap when the input is sent first and data is empty
+    it("8.3 - Should perform a plain swap when the input is sent first and data is empty", async function () {
+        const { user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const user1Address = await user1.getAddress();
+        const amountIn = ethers.parseEther("10");
+        const amountOut = await swap.getAmountOut(amountIn, await swap.reserveA(), await swap.reserveB());
+
+        await tokenA.connect(user1).transfer(await swap.getAddress(), amountIn);
+
+        await expect(swap.connect(user1).swap(0, amountOut, user1Address, "0x"))
+            .to.emit(swap, "Swap")
+            .withArgs(user1Address, amountIn, 0, 0, amountOut, user1Address);
+
+        expect(await swap.reserveA()).to.equal(ethers.parseEther("1000") + amountIn);
+        expect(await swap.reserveB()).to.equal(ethers.parseEther("1000") - amountOut);
+    });
+
+    /// @test 8.4 - Should revert on empty output, output above reserves or nothing paid in
+    it("8.4 - Should revert on empty output, output above reserves or nothing paid in", async function () {
+        const { user1, swap } = await loadFixture(liquidityFixture);
+
+        const user1Address = await user1.getAddress();
+
+        await expect(swap.swap(0, 0, user1Address, "0x")).to.be.revertedWithCustomError(swap, "ZeroAmount");
+        await expect(swap.swap(await swap.reserveA(), 0, user1Address, "0x")).to.be.revertedWithCustomError(swap, "InsufficientReserves");
+        await expect(swap.swap(1000, 0, user1Address, "0x")).to.be.revertedWithCustomError(swap, "InsufficientInputAmount");
+    });
+
+    /// @test 8.5 - Should reject callbacks to the borrower that it did not start
+    it("8.5 - Should reject callbacks to the borrower that it did not start", async function () {
+        const { user1, borrower, swap } = await loadFixture(flashFixture);
+
+        const user1Address = await user1.getAddress();
+        const data = ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [await swap.tokenB(), 0]);
+
+        await expect(borrower.connect(user1).simpleSwapCall(user1Address, 0, 1000, data))
+            .to.be.revertedWithCustomError(borrower, "NotPool")
+            .withArgs(user1Address);
+
+        // A flash swap started by someone else, pointed at the borrower
+        await expect(swap.connect(user1).swap(0, 1000, await borrower.getAddress(), data))
+            .to.be.revertedWithCustomError(borrower, "NotInitiator")
+            .withArgs(user1Address);
+    });
+
+    /// @test 8.6 - Should only let the owner borrow and revert if the repayment cannot be paid
+    it("8.6 - Should only let the owner borrow and revert if the repayment cannot be paid", async function () {
+        const { user1, tokenB, borrower } = await loadFixture(flashFixture);
+
+        const tokenBAddress = await tokenB.getAddress();
+        const amount = ethers.parseEther("100");
+
+        // Otherwise anyone could spend the borrower's balance on fees
+        await expect(borrower.connect(user1).flashBorrow(tokenBAddress, amount, minimumRepayment(amount)))
+            .to.be.revertedWithCustomError(borrower, "OwnableUnauthorizedAccount")
+            .withArgs(await user1.getAddress());
+
+        // The borrower holds 10 CR7 on top of the loan, so a larger repayment fails in the transfer
+        await expect(borrower.flashBorrow(tokenBAddress, amount, amount + ethers.parseEther("11")))
+            .to.be.revertedWithCustomError(tokenB, "ERC20InsufficientBalance");
+    });
+
+
+    //9. BALANCE ACCOUNTING AND FEE-ON-TRANSFER TESTS
+
+    /**
+     * @notice Deploys a pool pairing a 1% fee-on-transfer token (token A) with CR7 (token B),
+     * seeded with 1,000 of each (nominal), and funds user1 with both tokens.
+     */
+    async function feeOnTransferFixture() {
+        const [owner, user1] = await ethers.getSigners();
+
+        const FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+        const CR7 = await ethers.getContractFactory("CR7");
+        const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+
+        const fot = await FeeOnTransferToken.deploy();
+        const cr7 = await CR7.deploy();
+        const swap = await SimpleSwap.deploy(
+            await fot.getAddress(),
+            await cr7.getAddress(),
+            SWAP_FEE,
+            await owner.getAddress()
+        );
+
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 3600;
+
+        await fot.approve(swapAddress, ethers.MaxUint256);
+        await cr7.approve(swapAddress, ethers.MaxUint256);
+        await swap.addLiquidity(
+            await fot.getAddress(),
+            await cr7.getAddress(),
+            ethers.parseEther("1000"),
+            ethers.parseEther("1000"),
+            0,
+            0,
+            await owner.getAddress(),
+            deadline
+        );
+
+        await fot.transfer(await user1.getAddress(), ethers.parseEther("1000"));
+        await cr7.transfer(await user1.getAddress(), ethers.parseEther("1000"));
+        await fot.connect(user1).approve(swapAddress, ethers.MaxUint256);
+        await cr7.connect(user1).approve(swapAddress, ethers.MaxUint256);
+
+        return { owner, user1, fot, cr7, swap, deadline };
+    }
+
+    /// @test 9.1 - Should credit only what arrived when adding liquidity with a fee-on-transfer token
+    it("9.1 - Should credit only what arrived when adding liquidity with a fee-on-transfer token", async function () {
+        const { fot, cr7, swap } = await loadFixture(feeOnTransferFixture);
+
+        const swapAddress = await swap.getAddress();
+
+        expect(await swap.reserveA()).to.equal(ethers.parseEther("990"));
+        expect(await swap.reserveA()).to.equal(await fot.balanceOf(swapAddress));
+        expect(await swap.reserveB()).to.equal(await cr7.balanceOf(swapAddress));
+    });
+
+    /// @test 9.2 - Should absorb tokens sent directly to the pool on sync
+    it("9.2 - Should absorb tokens sent directly to the pool on sync", async function () {
+        const { user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const swapAddress = await swap.getAddress();
+        const donation = ethers.parseEther("5");
+
+        await tokenA.connect(user1).transfer(swapAddress, donation);
+        expect(await swap.reserveA()).to.equal(ethers.parseEther("1000"));
+
+        await swap.sync();
+
+        expect(await swap.reserveA()).to.equal(ethers.parseEther("1000") + donation);
+        expect(await swap.reserveB()).to.equal(await tokenB.balanceOf(swapAddress));
+    });
+
+    /// @test 9.3 - Should send the surplus above the reserves to the recipient on skim
+    it("9.3 - Should send the surplus above the reserves to the recipient on skim", async function () {
+        const { user1, user2, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const swapAddress = await swap.getAddress();
+        const donation = ethers.parseEther("7");
+
+        await tokenB.connect(user1).transfer(swapAddress, donation);
+
+        await expect(swap.skim(await user2.getAddress()))
+            .to.changeTokenBalances(tokenB, [user2, swap], [donation, -donation]);
+
+        expect(await swap.reserveB()).to.equal(await tokenB.balanceOf(swapAddress));
+    });
+
+    /// @test 9.4 - Should revert a standard swap when the input takes a fee on transfer
+    it("9.4 - Should revert a standard swap when the input takes a fee on transfer", async function () {
+        const { user1, fot, cr7, swap, deadline } = await loadFixture(feeOnTransferFixture);
+
+        await expect(
+            swap.connect(user1).swapExactTokensForTokens(
+                ethers.parseEther("10"),
+                0,
+                [await fot.getAddress(), await cr7.getAddress()],
+                await user1.getAddress(),
+                deadline
+            )
+        ).to.be.revertedWithCustomError(swap, "InputNotReceived");
+    });
+
+    /// @test 9.5 - Should quote from the amount received when selling a fee-on-transfer token
+    it("9.5 - Should quote from the amount received when selling a fee-on-transfer token", async function () {
+        const { user1, fot, cr7, swap, deadline } = await loadFixture(feeOnTransferFixture);
+
+        const swapAddress = await swap.getAddress();
+        const amountIn = ethers.parseEther("10");
+        const received = amountIn * 99n / 100n;
+        const expectedOut = await swap.getAmountOut(received, await swap.reserveA(), await swap.reserveB());
+
+        await expect(
+            swap.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn,
+                expectedOut,
+                [await fot.getAddress(), await cr7.getAddress()],
+                await user1.getAddress(),
+                deadline
+            )
+        ).to.changeTokenBalances(cr7, [user1], [expectedOut]);
+
+        expect(await swap.reserveA()).to.equal(await fot.balanceOf(swapAddress));
+        expect(await swap.reserveB()).to.equal(await cr7.balanceOf(swapAddress));
+    });
+
+    /// @test 9.6 - Should check amountOutMin against what the recipient of a fee-on-transfer token gets
+    it("9.6 - Should check amountOutMin against what the recipient of a fee-on-transfer token gets", async function () {
+        const { user1, fot, cr7, swap, deadline } = await loadFixture(feeOnTransferFixture);
+
+        const amountIn = ethers.parseEther("10");
+        const path = [await cr7.getAddress(), await fot.getAddress()];
+        const quote = await swap.getAmountOut(amountIn, await swap.reserveB(), await swap.reserveA());
+
+        // The pool sends `quote`, but the recipient only gets 99% of it
+        await expect(
+            swap.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, quote, path, await user1.getAddress(), deadline
+            )
+        ).to.be.revertedWithCustomError(swap, "InsufficientOutputAmount");
+
+        await expect(
+            swap.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, quote * 99n / 100n, path, await user1.getAddress(), deadline
+            )
+        ).to.changeTokenBalances(fot, [user1], [quote - quote / 100n]);
+    });
+
+    /// @test 9.7 - Should keep reserves equal to balances after removing fee-on-transfer liquidity
+    it("9.7 - Should keep reserves equal to balances after removing fee-on-transfer liquidity", async function () {
+        const { owner, fot, cr7, swap, deadline } = await loadFixture(feeOnTransferFixture);
+
+        const swapAddress = await swap.getAddress();
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+        const liquidity = (await lpToken.balanceOf(await owner.getAddress())) / 2n;
+
+        await lpToken.approve(swapAddress, liquidity);
+        await swap.removeLiquidity(
+            await fot.getAddress(),
+            await cr7.getAddress(),
+            liquidity,
+            0,
+            0,
+            await owner.getAddress(),
+            deadline
+        );
+
+        expect(await swap.reserveA()).to.equal(await fot.balanceOf(swapAddress));
+        expect(await swap.reserveB()).to.equal(await cr7.balanceOf(swapAddress));
+    });
+
+    /// @test 9.8 - Should accept the first deposit after a donation was synced into the empty pool
+    it("9.8 - Should accept the first deposit after a donation was synced into the empty pool", async function () {
+        const { owner, user1, tokenA, tokenB, swap } = await loadFixture(deployFixture);
+
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 3600;
+
+        // 1 wei of a single token is enough to leave the reserves non-zero with no SSLP minted
+        await tokenA.transfer(await user1.getAddress(), 1);
+        await tokenA.connect(user1).transfer(swapAddress, 1);
+        await swap.sync();
+        expect(await swap.reserveA()).to.equal(1);
+        expect(await swap.reserveB()).to.equal(0);
+
+        await tokenA.approve(swapAddress, ethers.parseEther("1000"));
+        await tokenB.approve(swapAddress, ethers.parseEther("1000"));
+        await expect(
+            swap.addLiquidity(
+                await tokenA.getAddress(),
+                await tokenB.getAddress(),
+                ethers.parseEther("1000"),
+                ethers.parseEther("1000"),
+                ethers.parseEther("1000"),
+                ethers.parseEther("1000"),
+                await owner.getAddress(),
+                deadline
+            )
+        ).to.emit(swap, "InitialLiquidityAdded");
+
+        expect(await swap.reserveA()).to.equal(ethers.parseEther("1000") + 1n);
+        expect(await swap.reserveB()).to.equal(ethers.parseEther("1000"));
+    });
+
+
+    //10. MINIMUM LIQUIDITY TESTS
+
+    /// @test 10.1 - Should lock MINIMUM_LIQUIDITY and emit InitialLiquidityAdded on the first deposit
+    it("10.1 - Should lock MINIMUM_LIQUIDITY and emit InitialLiquidityAdded on the first deposit", async function () {
+        const { owner, tokenA, tokenB, swap } = await loadFixture(deployFixture);
+
+        const swapAddress = await swap.getAddress();
+        const ownerAddress = await owner.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const minimumLiquidity = await swap.MINIMUM_LIQUIDITY();
+
+        await tokenA.approve(swapAddress, 40_000);
+        await tokenB.approve(swapAddress, 10_000);
+
+        // sqrt(40_000 * 10_000) = 20_000
+        await expect(
+            swap.addLiquidity(
+                await tokenA.getAddress(), await tokenB.getAddress(), 40_000, 10_000, 0, 0, ownerAddress, deadline
+            )
+        ).to.emit(swap, "InitialLiquidityAdded").withArgs(ownerAddress, 40_000, 10_000, 20_000n - minimumLiquidity);
+
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+        expect(await lpToken.balanceOf(await swap.DEAD_ADDRESS())).to.equal(minimumLiquidity);
+        expect(await lpToken.balanceOf(ownerAddress)).to.equal(20_000n - minimumLiquidity);
+        expect(await lpToken.totalSupply()).to.equal(20_000);
+    });
+
+    /// @test 10.2 - Should revert a first deposit that does not exceed MINIMUM_LIQUIDITY
+    it("10.2 - Should revert a first deposit that does not exceed MINIMUM_LIQUIDITY", async function () {
+        const { owner, tokenA, tokenB, swap } = await loadFixture(deployFixture);
+
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 3600;
+
+        await tokenA.approve(swapAddress, 1_000);
+        await tokenB.approve(swapAddress, 1_000);
+
+        await expect(
+            swap.addLiquidity(
+                await tokenA.getAddress(), await tokenB.getAddress(), 1_000, 1_000, 0, 0, await owner.getAddress(), deadline
+            )
+        ).to.be.revertedWithCustomError(swap, "InsufficientInitialLiquidity").withArgs(1_000, 1_000);
+    });
+
+    /// @test 10.3 - Should not emit InitialLiquidityAdded on later deposits
+    it("10.3 - Should not emit InitialLiquidityAdded on later deposits", async function () {
+        const { user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const deadline = (await time.latest()) + 3600;
+        const amount = ethers.parseEther("10");
+
+        await expect(
+            swap.connect(user1).addLiquidity(
+                await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, await user1.getAddress(), deadline
+            )
+        ).to.emit(swap, "LiquidityAdded").and.not.to.emit(swap, "InitialLiquidityAdded");
+    });
+
+    /// @test 10.4 - Should neutralise the first-depositor inflation attack
+    it("10.4 - Should neutralise the first-depositor inflation attack", async function () {
+        const { owner, user1: attacker, user2: victim, tokenA, tokenB, swap } = await loadFixture(deployFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const swapAddress = await swap.getAddress();
+        const attackerAddress = await attacker.getAddress();
+        const victimAddress = await victim.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+
+        const funds = ethers.parseEther("1000");
+        for (const account of [attacker, victim]) {
+            await tokenA.connect(owner).transfer(await account.getAddress(), funds);
+            await tokenB.connect(owner).transfer(await account.getAddress(), funds);
+            await tokenA.connect(account).approve(swapAddress, ethers.MaxUint256);
+            await tokenB.connect(account).approve(swapAddress, ethers.MaxUint256);
+            await lpToken.connect(account).approve(swapAddress, ethers.MaxUint256);
+        }
+
+        // Step 1: Attacker makes the smallest possible first deposit and ends up with 1 LP wei
+        await swap.connect(attacker).addLiquidity(
+            tokenAAddress, tokenBAddress, 1_001, 1_001, 0, 0, attackerAddress, deadline
+        );
+        expect(await lpToken.balanceOf(attackerAddress)).to.equal(1);
+
+        // Step 2: Attacker donates a large amount to inflate the price of each LP wei
+        const donation = ethers.parseEther("100");
+        await tokenA.connect(attacker).transfer(swapAddress, donation);
+        await tokenB.connect(attacker).transfer(swapAddress, donation);
+        await swap.sync();
+
+        // Step 3: Victim deposits less than the donation and still gets a share instead of zero
+        const deposit = ethers.parseEther("1");
+        await swap.connect(victim).addLiquidity(
+            tokenAAddress, tokenBAddress, deposit, deposit, 0, 0, victimAddress, deadline
+        );
+        const victimLiquidity = await lpToken.balanceOf(victimAddress);
+        expect(victimLiquidity).to.be.greaterThan(0);
+
+        // Step 4: Both withdraw everything they can
+        await swap.connect(victim).removeLiquidity(
+            tokenAAddress, tokenBAddress, victimLiquidity, 0, 0, victimAddress, deadline
+        );
+        await swap.connect(attacker).removeLiquidity(
+            tokenAAddress, tokenBAddress, 1, 0, 0, attackerAddress, deadline
+        );
+
+        // The victim loses less than 1% to rounding...
+        expect(await tokenA.balanceOf(victimAddress)).to.be.greaterThan(funds - deposit / 100n);
+        expect(await tokenB.balanceOf(victimAddress)).to.be.greaterThan(funds - deposit / 100n);
+
+        // ...while the attacker loses almost the whole donation to the locked liquidity
+        expect(await tokenA.balanceOf(attackerAddress)).to.be.lessThan(funds - donation * 99n / 100n);
+        expect(await tokenB.balanceOf(attackerAddress)).to.be.lessThan(funds - donation * 99n / 100n);
+    });
+
+    //11. PERMIT TESTS
+
+    /**
+     * @notice Signs an EIP-2612 permit letting `spender` use `value` of the signer's tokens (LP, M10 or CR7).
+     * @return The split signature (v, r, s) of the typed data.
+     */
+    async function signPermit(signer, token, spender, value, deadline) {
+        const domain = {
+            name: await token.name(),
+            version: "1",
+            chainId: (await ethers.provider.getNetwork()).chainId,
+            verifyingContract: await token.getAddress(),
+        };
+        const types = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+            ],
+        };
+        const message = {
+            owner: await signer.getAddress(),
+            spender,
+            value,
+            nonce: await token.nonces(await signer.getAddress()),
+            deadline,
+        };
+
+        return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    /// @test 11.1 - Should revert a plain removal without an LP token allowance
+    it("11.1 - Should revert a plain removal without an LP token allowance", async function () {
+        const { owner, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+
+        await expect(
+            swap.connect(owner).removeLiquidity(
+                await tokenA.getAddress(), await tokenB.getAddress(), 1000, 0, 0, await owner.getAddress(), deadline
+            )
+        ).to.be.revertedWithCustomError(lpToken, "ERC20InsufficientAllowance");
+    });
+
+    /// @test 11.2 - Should remove liquidity with a signed permit in a single call
+    it("11.2 - Should remove liquidity with a signed permit in a single call", async function () {
+        const { owner, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const ownerAddress = await owner.getAddress();
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+        const liquidity = ethers.parseEther("100");
+
+        const { v, r, s } = await signPermit(owner, lpToken, swapAddress, liquidity, deadline);
+
+        await expect(
+            swap.connect(owner).removeLiquidityWithPermit(
+                await tokenA.getAddress(), await tokenB.getAddress(), liquidity, 0, 0, ownerAddress, deadline, false, v, r, s
+            )
+        ).to.changeTokenBalances(lpToken, [owner], [-liquidity]);
+
+        expect(await tokenA.balanceOf(swapAddress)).to.equal(ethers.parseEther("900"));
+        expect(await lpToken.nonces(ownerAddress)).to.equal(1);
+        expect(await lpToken.allowance(ownerAddress, swapAddress)).to.equal(0);
+    });
+
+    /// @test 11.3 - Should keep an unlimited allowance when approveMax is signed
+    it("11.3 - Should keep an unlimited allowance when approveMax is signed", async function () {
+        const { owner, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const ownerAddress = await owner.getAddress();
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+
+        const { v, r, s } = await signPermit(owner, lpToken, swapAddress, ethers.MaxUint256, deadline);
+        await swap.connect(owner).removeLiquidityWithPermit(
+            await tokenA.getAddress(), await tokenB.getAddress(), 1000, 0, 0, ownerAddress, deadline, true, v, r, s
+        );
+
+        expect(await lpToken.allowance(ownerAddress, swapAddress)).to.equal(ethers.MaxUint256);
+    });
+
+    /// @test 11.4 - Should revert on a permit signed by someone else, replayed or expired
+    it("11.4 - Should revert on a permit signed by someone else, replayed or expired", async function () {
+        const { owner, user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const ownerAddress = await owner.getAddress();
+        const swapAddress = await swap.getAddress();
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+        const liquidity = ethers.parseEther("1");
+
+        // Signed by user1 on behalf of the owner's LP tokens: the permit is ignored and no allowance is set
+        const forged = await signPermit(user1, lpToken, swapAddress, liquidity, deadline);
+        await expect(
+            swap.connect(owner).removeLiquidityWithPermit(
+                tokenAAddress, tokenBAddress, liquidity, 0, 0, ownerAddress, deadline, false, forged.v, forged.r, forged.s
+            )
+        ).to.be.revertedWithCustomError(lpToken, "ERC20InsufficientAllowance");
+
+        // A valid signature only works once, since the nonce moves on and the allowance is spent
+        const { v, r, s } = await signPermit(owner, lpToken, swapAddress, liquidity, deadline);
+        await swap.connect(owner).removeLiquidityWithPermit(
+            tokenAAddress, tokenBAddress, liquidity, 0, 0, ownerAddress, deadline, false, v, r, s
+        );
+        await expect(
+            swap.connect(owner).removeLiquidityWithPermit(
+                tokenAAddress, tokenBAddress, liquidity, 0, 0, ownerAddress, deadline, false, v, r, s
+            )
+        ).to.be.revertedWithCustomError(lpToken, "ERC20InsufficientAllowance");
+
+        // An expired permit is ignored too, and the pool rejects its own deadline
+        const expiry = (await time.latest()) - 1;
+        const expired = await signPermit(owner, lpToken, swapAddress, liquidity, expiry);
+        await expect(
+            swap.connect(owner).removeLiquidityWithPermit(
+                tokenAAddress, tokenBAddress, liquidity, 0, 0, ownerAddress, expiry, false, expired.v, expired.r, expired.s
+            )
+        ).to.be.revertedWithCustomError(swap, "Expired");
+    });
+
+    /// @test 11.5 - Should remove liquidity when a third party already submitted the permit
+    it("11.5 - Should remove liquidity when a third party already submitted the permit", async function () {
+        const { owner, user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const ownerAddress = await owner.getAddress();
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+        const liquidity = ethers.parseEther("100");
+
+        // user1 copies the signature from the mempool and submits it first
+        const { v, r, s } = await signPermit(owner, lpToken, swapAddress, liquidity, deadline);
+        await lpToken.connect(user1).permit(ownerAddress, swapAddress, liquidity, deadline, v, r, s);
+
+        await expect(
+            swap.connect(owner).removeLiquidityWithPermit(
+                await tokenA.getAddress(), await tokenB.getAddress(), liquidity, 0, 0, ownerAddress, deadline, false, v, r, s
+            )
+        ).to.changeTokenBalances(lpToken, [owner], [-liquidity]);
+
+        expect(await lpToken.allowance(ownerAddress, swapAddress)).to.equal(0);
+    });
+
+    //12. PERMIT SWAP TESTS
+
+    /**
+     * @notice Seeds the pool and funds user2 with M10 without approving the pool.
+     */
+    async function permitSwapFixture() {
+        const fixture = await liquidityFixture();
+        const { owner, user2, tokenA } = fixture;
+
+        await tokenA.connect(owner).transfer(await user2.getAddress(), ethers.parseEther("100"));
+
+        return fixture;
+    }
+
+    /// @test 12.1 - Should swap with a signed permit and no prior approval
+    it("12.1 - Should swap with a signed permit and no prior approval", async function () {
+        const { user2, tokenA, tokenB, swap } = await loadFixture(permitSwapFixture);
+
+        const user2Address = await user2.getAddress();
+        const swapAddress = await swap.getAddress();
+        const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+        const deadline = (await time.latest()) + 3600;
+        const amountIn = ethers.parseEther("10");
+        const amountOut = await swap.getAmountOut(amountIn, await swap.reserveA(), await swap.reserveB());
+
+        expect(await tokenA.allowance(user2Address, swapAddress)).to.equal(0);
+
+        const { v, r, s } = await signPermit(user2, tokenA, swapAddress, amountIn, deadline);
+        await expect(
+            swap.connect(user2).swapExactTokensForTokensWithPermit(
+                amountIn, amountOut, path, user2Address, deadline, false, v, r, s
+            )
+        ).to.changeTokenBalances(tokenB, [user2], [amountOut]);
+
+        expect(await tokenA.balanceOf(user2Address)).to.equal(ethers.parseEther("90"));
+        expect(await tokenA.nonces(user2Address)).to.equal(1);
+        expect(await tokenA.allowance(user2Address, swapAddress)).to.equal(0);
+    });
+
+    /// @test 12.2 - Should revert if the permit has expired
+    it("12.2 - Should revert if the permit has expired", async function () {
+        const { user2, tokenA, tokenB, swap } = await loadFixture(permitSwapFixture);
+
+        const swapAddress = await swap.getAddress();
+        const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+        const amountIn = ethers.parseEther("10");
+        const deadline = (await time.latest()) - 1;
+
+        // The expired permit is ignored and the pool rejects its own deadline
+        const { v, r, s } = await signPermit(user2, tokenA, swapAddress, amountIn, deadline);
+        await expect(
+            swap.connect(user2).swapExactTokensForTokensWithPermit(
+                amountIn, 0, path, await user2.getAddress(), deadline, false, v, r, s
+            )
+        ).to.be.revertedWithCustomError(swap, "Expired");
+    });
+
+    /// @test 12.3 - Should revert if the same permit is replayed
+    it("12.3 - Should revert if the same permit is replayed", async function () {
+        const { user2, tokenA, tokenB, swap } = await loadFixture(permitSwapFixture);
+
+        const user2Address = await user2.getAddress();
+        const swapAddress = await swap.getAddress();
+        const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+        const amountIn = ethers.parseEther("10");
+        const deadline = (await time.latest()) + 3600;
+
+        const { v, r, s } = await signPermit(user2, tokenA, swapAddress, amountIn, deadline);
+        await swap.connect(user2).swapExactTokensForTokensWithPermit(
+            amountIn, 0, path, user2Address, deadline, false, v, r, s
+        );
+
+        // The replayed permit is ignored and the allowance it set was spent by the first swap
+        await expect(
+            swap.connect(user2).swapExactTokensForTokensWithPermit(
+                amountIn, 0, path, user2Address, deadline, false, v, r, s
+            )
+        ).to.be.revertedWithCustomError(tokenA, "ERC20InsufficientAllowance");
+    });
+
+    /// @test 12.4 - Should revert if the permit was signed by another account
+    it("12.4 - Should revert if the permit was signed by another account", async function () {
+        const { user1, user2, tokenA, tokenB, swap } = await loadFixture(permitSwapFixture);
+
+        const swapAddress = await swap.getAddress();
+        const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+        const amountIn = ethers.parseEther("10");
+        const deadline = (await time.latest()) + 3600;
+
+        // user1 signs, user2 submits: the permit is checked against user2's address, fails and sets no allowance
+        const { v, r, s } = await signPermit(user1, tokenA, swapAddress, amountIn, deadline);
+        await expect(
+            swap.connect(user2).swapExactTokensForTokensWithPermit(
+                amountIn, 0, path, await user2.getAddress(), deadline, false, v, r, s
+            )
+        ).to.be.revertedWithCustomError(tokenA, "ERC20InsufficientAllowance");
+    });
+
+    /// @test 12.5 - Should swap when a third party already submitted the permit
+    it("12.5 - Should swap when a third party already submitted the permit", async function () {
+        const { user1, user2, tokenA, tokenB, swap } = await loadFixture(permitSwapFixture);
+
+        const user2Address = await user2.getAddress();
+        const swapAddress = await swap.getAddress();
+        const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+        const amountIn = ethers.parseEther("10");
+        const deadline = (await time.latest()) + 3600;
+
+        // user1 copies the signature from the mempool and submits it first
+        const { v, r, s } = await signPermit(user2, tokenA, swapAddress, amountIn, deadline);
+        await tokenA.connect(user1).permit(user2Address, swapAddress, amountIn, deadline, v, r, s);
+
+        await expect(
+            swap.connect(user2).swapExactTokensForTokensWithPermit(
+                amountIn, 0, path, user2Address, deadline, false, v, r, s
+            )
+        ).to.changeTokenBalances(tokenA, [user2], [-amountIn]);
+
+        expect(await tokenA.allowance(user2Address, swapAddress)).to.equal(0);
+    });
+
+    //13. ADMIN, PAUSE AND PROTOCOL FEE TESTS
+
+    /// @test 13.1 - Should transfer ownership in two steps
+    it("13.1 - Should transfer ownership in two steps", async function () {
+        const { owner, user1, swap } = await loadFixture(deployFixture);
+
+        const ownerAddress = await owner.getAddress();
+        const user1Address = await user1.getAddress();
+
+        await expect(swap.connect(owner).transferOwnership(user1Address))
+            .to.emit(swap, "OwnershipTransferStarted")
+            .withArgs(ownerAddress, user1Address);
+
+        // Nothing changes until the new owner accepts
+        expect(await swap.owner()).to.equal(ownerAddress);
+        expect(await swap.pendingOwner()).to.equal(user1Address);
+
+        await expect(swap.connect(user1).acceptOwnership())
+            .to.emit(swap, "OwnershipTransferred")
+            .withArgs(ownerAddress, user1Address);
+
+        expect(await swap.owner()).to.equal(user1Address);
+        await expect(swap.connect(owner).setSwapFee(10))
+            .to.be.revertedWithCustomError(swap, "OwnableUnauthorizedAccount")
+            .withArgs(ownerAddress);
+    });
+
+    /// @test 13.2 - Should revert every admin function for unauthorized callers
+    it("13.2 - Should revert every admin function for unauthorized callers", async function () {
+        const { owner, user1, user2, swap } = await loadFixture(deployFixture);
+
+        const user1Address = await user1.getAddress();
+
+        // Each call is sent only when its turn comes, so no rejection is left unhandled meanwhile
+        for (const call of [
+            () => swap.connect(user1).setSwapFee(10),
+            () => swap.connect(user1).setFeeTo(user1Address),
+            () => swap.connect(user1).pause(),
+            () => swap.connect(user1).unpause(),
+            () => swap.connect(user1).transferOwnership(user1Address),
+        ]) {
+            await expect(call())
+                .to.be.revertedWithCustomError(swap, "OwnableUnauthorizedAccount")
+                .withArgs(user1Address);
+        }
+
+        // Only the pending owner can accept
+        await swap.connect(owner).transferOwnership(await user2.getAddress());
+        await expect(swap.connect(user1).acceptOwnership())
+            .to.be.revertedWithCustomError(swap, "OwnableUnauthorizedAccount")
+            .withArgs(user1Address);
+    });
+
+    /// @test 13.3 - Should halt swaps and deposits while paused
+    it("13.3 - Should halt swaps and deposits while paused", async function () {
+        const { owner, user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const user1Address = await user1.getAddress();
+        const path = [tokenAAddress, tokenBAddress];
+        const deadline = (await time.latest()) + 3600;
+
+        await expect(swap.connect(owner).pause())
+            .to.emit(swap, "Paused")
+            .withArgs(await owner.getAddress());
+
+        for (const call of [
+            swap.connect(user1).swapExactTokensForTokens(1000, 0, path, user1Address, deadline),
+            swap.connect(user1).swapTokensForExactTokens(1000, 2000, path, user1Address, deadline),
+            swap.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(1000, 0, path, user1Address, deadline),
+            swap.connect(user1).swap(0, 1000, user1Address, "0x"),
+            swap.connect(user1).addLiquidity(tokenAAddress, tokenBAddress, 1000, 1000, 0, 0, user1Address, deadline),
+        ]) {
+            await expect(call).to.be.revertedWithCustomError(swap, "EnforcedPause");
+        }
+    });
+
+    /// @test 13.4 - Should keep withdrawals open while paused and resume swaps on unpause
+    it("13.4 - Should keep withdrawals open while paused and resume swaps on unpause", async function () {
+        const { owner, user1, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const ownerAddress = await owner.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+        const liquidity = ethers.parseEther("100");
+
+        await swap.connect(owner).pause();
+
+        await lpToken.connect(owner).approve(await swap.getAddress(), liquidity);
+        await expect(
+            swap.connect(owner).removeLiquidity(tokenAAddress, tokenBAddress, liquidity, 0, 0, ownerAddress, deadline)
+        ).to.changeTokenBalances(lpToken, [owner], [-liquidity]);
+
+        await expect(swap.connect(owner).unpause())
+            .to.emit(swap, "Unpaused")
+            .withArgs(ownerAddress);
+
+        await expect(
+            swap.connect(user1).swapExactTokensForTokens(
+                1000, 0, [tokenAAddress, tokenBAddress], await user1.getAddress(), deadline
+            )
+        ).to.emit(swap, "TokensSwapped");
+    });
+
+    /// @test 13.5 - Should emit FeeToUpdated and mint nothing while the protocol fee is off
+    it("13.5 - Should emit FeeToUpdated and mint nothing while the protocol fee is off", async function () {
+        const { owner, user1, user2, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const feeToAddress = await user2.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+
+        // Swaps and a deposit with the fee off
+        await swap.connect(user1).swapExactTokensForTokens(
+            ethers.parseEther("50"), 0, [tokenAAddress, tokenBAddress], await user1.getAddress(), deadline
+        );
+        await swap.connect(user1).addLiquidity(
+            tokenAAddress, tokenBAddress, ethers.parseEther("10"), ethers.parseEther("10"), 0, 0, await user1.getAddress(), deadline
+        );
+
+        expect(await swap.kLast()).to.equal(0);
+        expect(await lpToken.balanceOf(feeToAddress)).to.equal(0);
+
+        await expect(swap.connect(owner).setFeeTo(feeToAddress))
+            .to.emit(swap, "FeeToUpdated")
+            .withArgs(ethers.ZeroAddress, feeToAddress);
+        await expect(swap.connect(owner).setFeeTo(ethers.ZeroAddress))
+            .to.emit(swap, "FeeToUpdated")
+            .withArgs(feeToAddress, ethers.ZeroAddress);
+    });
+
+    /// @test 13.6 - Should mint 1/6 of the fee growth to feeTo on the next liquidity event
+    it("13.6 - Should mint 1/6 of the fee growth to feeTo on the next liquidity event", async function () {
+        const { owner, user1, user2, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const ownerAddress = await owner.getAddress();
+        const user1Address = await user1.getAddress();
+        const feeToAddress = await user2.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+
+        // Turn the fee on; the next deposit records kLast
+        await swap.connect(owner).setFeeTo(feeToAddress);
+        await swap.connect(user1).addLiquidity(
+            tokenAAddress, tokenBAddress, ethers.parseEther("10"), ethers.parseEther("10"), 0, 0, user1Address, deadline
+        );
+        const kLast = await swap.kLast();
+        expect(kLast).to.equal((await swap.reserveA()) * (await swap.reserveB()));
+
+        // Trade back and forth so swap fees grow k
+        for (let i = 0; i < 5; i++) {
+            await swap.connect(user1).swapExactTokensForTokens(
+                ethers.parseEther("100"), 0, [tokenAAddress, tokenBAddress], user1Address, deadline
+            );
+            await swap.connect(user1).swapExactTokensForTokens(
+                ethers.parseEther("100"), 0, [tokenBAddress, tokenAAddress], user1Address, deadline
+            );
+        }
+
+        const rootK = sqrt((await swap.reserveA()) * (await swap.reserveB()));
+        const rootKLast = sqrt(kLast);
+        const supply = await lpToken.totalSupply();
+        const expected = supply * (rootK - rootKLast) / (rootK * 5n + rootKLast);
+        expect(expected).to.be.greaterThan(0);
+
+        // The fee is minted on the next withdrawal
+        const liquidity = ethers.parseEther("1");
+        await lpToken.connect(owner).approve(await swap.getAddress(), liquidity);
+        await swap.connect(owner).removeLiquidity(tokenAAddress, tokenBAddress, liquidity, 0, 0, ownerAddress, deadline);
+
+        const minted = await lpToken.balanceOf(feeToAddress);
+        expect(minted).to.equal(expected);
+
+        // The minted LP tokens are worth 1/6 of the growth in sqrt(k)
+        const share = minted * rootK / (supply + minted);
+        const growth = rootK - rootKLast;
+        expect(share).to.be.closeTo(growth / 6n, growth / 1000n);
+        expect(await swap.kLast()).to.equal((await swap.reserveA()) * (await swap.reserveB()));
+    });
+
+    /// @test 13.7 - Should clear kLast on the next liquidity event after the fee is turned off
+    it("13.7 - Should clear kLast on the next liquidity event after the fee is turned off", async function () {
+        const { owner, user1, user2, tokenA, tokenB, swap } = await loadFixture(liquidityFixture);
+
+        const tokenAAddress = await tokenA.getAddress();
+        const tokenBAddress = await tokenB.getAddress();
+        const user1Address = await user1.getAddress();
+        const deadline = (await time.latest()) + 3600;
+
+        await swap.connect(owner).setFeeTo(await user2.getAddress());
+        await swap.connect(user1).addLiquidity(
+            tokenAAddress, tokenBAddress, ethers.parseEther("10"), ethers.parseEther("10"), 0, 0, user1Address, deadline
+        );
+        expect(await swap.kLast()).to.be.greaterThan(0);
+
+        await swap.connect(owner).setFeeTo(ethers.ZeroAddress);
+        await swap.connect(user1).addLiquidity(
+            tokenAAddress, tokenBAddress, ethers.parseEther("10"), ethers.parseEther("10"), 0, 0, user1Address, deadline
+        );
+        expect(await swap.kLast()).to.equal(0);
+    });
+});
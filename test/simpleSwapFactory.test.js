@@ -0,0 +1,210 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("SimpleSwapFactory", function () {
+    /// @notice Default swap fee given to new pools, in basis points (0.3%)
+    const DEFAULT_SWAP_FEE = 30;
+
+    /**
+     * @notice Deploys M10, CR7, a second M10-like token and the factory.
+     * @dev Pools are created inside each test so pair creation itself can be asserted.
+     */
+    async function deployFixture() {
+        const [owner, user1] = await ethers.getSigners();
+
+        const M10 = await ethers.getContractFactory("M10");
+        const CR7 = await ethers.getContractFactory("CR7");
+        const Factory = await ethers.getContractFactory("SimpleSwapFactory");
+
+        const m10 = await M10.deploy();
+        const cr7 = await CR7.deploy();
+        const other = await M10.deploy();
+
+        const factory = await Factory.deploy(DEFAULT_SWAP_FEE, await owner.getAddress());
+        await factory.waitForDeployment();
+
+        return { owner, user1, m10, cr7, other, factory };
+    }
+
+    /// @notice Returns both addresses sorted the way the factory stores them
+    function sortAddresses(a, b) {
+        return BigInt(a) < BigInt(b) ? [a, b] : [b, a];
+    }
+
+    //1. CREATE PAIR TESTS
+
+    /// @test 1.1 - Should create a pool with sorted tokens and emit PairCreated
+    it("1.1 - Should create a pool with sorted tokens and emit PairCreated", async function () {
+        const { m10, cr7, factory } = await loadFixture(deployFixture);
+
+        const m10Address = await m10.getAddress();
+        const cr7Address = await cr7.getAddress();
+        const [token0, token1] = sortAddresses(m10Address, cr7Address);
+
+        await expect(factory.createPair(cr7Address, m10Address))
+            .to.emit(factory, "PairCreated")
+            .withArgs(token0, token1, anyValue, 1);
+
+        const pairAddress = await factory.getPair(m10Address, cr7Address);
+        const pair = await ethers.getContractAt("SimpleSwap", pairAddress);
+
+        expect(await pair.tokenA()).to.equal(token0);
+        expect(await pair.tokenB()).to.equal(token1);
+        expect(await pair.swapFee()).to.equal(DEFAULT_SWAP_FEE);
+    });
+
+    /// @test 1.2 - Should register the pool in both orders and in allPairs
+    it("1.2 - Should register the pool in both orders and in allPairs", async function () {
+        const { m10, cr7, factory } = await loadFixture(deployFixture);
+
+        const m10Address = await m10.getAddress();
+        const cr7Address = await cr7.getAddress();
+
+        await factory.createPair(m10Address, cr7Address);
+
+        const pairAddress = await factory.getPair(m10Address, cr7Address);
+        expect(pairAddress).to.not.equal(ethers.ZeroAddress);
+        expect(await factory.getPair(cr7Address, m10Address)).to.equal(pairAddress);
+        expect(await factory.allPairsLength()).to.equal(1);
+        expect(await factory.allPairs(0)).to.equal(pairAddress);
+    });
+
+    /// @test 1.3 - Should revert if the pair already exists in either order
+    it("1.3 - Should revert if the pair already exists in either order", async function () {
+        const { m10, cr7, factory } = await loadFixture(deployFixture);
+
+        const m10Address = await m10.getAddress();
+        const cr7Address = await cr7.getAddress();
+
+        await factory.createPair(m10Address, cr7Address);
+
+        await expect(factory.createPair(m10Address, cr7Address)).to.be.revertedWithCustomError(factory, "PairExists");
+        await expect(factory.createPair(cr7Address, m10Address)).to.be.revertedWithCustomError(factory, "PairExists");
+    });
+
+    /// @test 1.4 - Should revert on identical or zero token addresses
+    it("1.4 - Should revert on identical or zero token addresses", async function () {
+        const { m10, factory } = await loadFixture(deployFixture);
+
+        const m10Address = await m10.getAddress();
+
+        await expect(factory.createPair(m10Address, m10Address)).to.be.revertedWithCustomError(factory, "IdenticalTokens");
+        await expect(factory.createPair(ethers.ZeroAddress, m10Address)).to.be.revertedWithCustomError(factory, "ZeroAddress");
+    });
+
+    //2. POOL TESTS
+
+    /// @test 2.1 - Should give each pool its own LP token named after the pair
+    it("2.1 - Should give each pool its own LP token named after the pair", async function () {
+        const { m10, cr7, other, factory } = await loadFixture(deployFixture);
+
+        await factory.createPair(await m10.getAddress(), await cr7.getAddress());
+        await factory.createPair(await other.getAddress(), await cr7.getAddress());
+
+        const pairA = await ethers.getContractAt("SimpleSwap", await factory.allPairs(0));
+        const pairB = await ethers.getContractAt("SimpleSwap", await factory.allPairs(1));
+        const lpA = await ethers.getContractAt("LPToken", await pairA.lpToken());
+        const lpB = await ethers.getContractAt("LPToken", await pairB.lpToken());
+
+        const symbolA = await (await ethers.getContractAt("CR7", await pairA.tokenA())).symbol();
+        const symbolB = await (await ethers.getContractAt("CR7", await pairA.tokenB())).symbol();
+
+        expect(await lpA.getAddress()).to.not.equal(await lpB.getAddress());
+        expect(await lpA.name()).to.equal(`SimpleSwap ${symbolA}/${symbolB} LP`);
+        expect(await lpA.symbol()).to.equal(`SSLP-${symbolA}-${symbolB}`);
+        expect(await lpA.decimals()).to.equal(18);
+    });
+
+    /// @test 2.2 - Should hand pool ownership to the factory owner
+    it("2.2 - Should hand pool ownership to the factory owner", async function () {
+        const { owner, m10, cr7, factory } = await loadFixture(deployFixture);
+
+        await factory.createPair(await m10.getAddress(), await cr7.getAddress());
+        const pair = await ethers.getContractAt("SimpleSwap", await factory.allPairs(0));
+
+        expect(await pair.owner()).to.equal(await owner.getAddress());
+        await expect(pair.connect(owner).setSwapFee(10)).to.emit(pair, "FeeUpdated").withArgs(DEFAULT_SWAP_FEE, 10);
+    });
+
+    /// @test 2.3 - Should keep liquidity and swaps independent per pool
+    it("2.3 - Should keep liquidity and swaps independent per pool", async function () {
+        const { owner, m10, cr7, other, factory } = await loadFixture(deployFixture);
+
+        await factory.createPair(await m10.getAddress(), await cr7.getAddress());
+        await factory.createPair(await other.getAddress(), await cr7.getAddress());
+
+        const ownerAddress = await owner.getAddress();
+        const amount = ethers.parseEther("100");
+        const deadline = (await time.latest()) + 3600;
+
+        const pairA = await ethers.getContractAt("SimpleSwap", await factory.allPairs(0));
+        const pairB = await ethers.getContractAt("SimpleSwap", await factory.allPairs(1));
+        const pairAAddress = await pairA.getAddress();
+
+        await m10.approve(pairAAddress, ethers.MaxUint256);
+        await cr7.approve(pairAAddress, ethers.MaxUint256);
+        await pairA.addLiquidity(
+            await pairA.tokenA(), await pairA.tokenB(), amount, amount, 0, 0, ownerAddress, deadline
+        );
+
+        // Swap M10 -> CR7 through the first pool only
+        await pairA.swapExactTokensForTokens(
+            ethers.parseEther("1"), 0, [await m10.getAddress(), await cr7.getAddress()], ownerAddress, deadline
+        );
+
+        expect(await pairA.reserveA()).to.not.equal(amount);
+        expect(await pairB.reserveA()).to.equal(0);
+        expect(await pairB.reserveB()).to.equal(0);
+    });
+
+    //3. ADMIN TESTS
+
+    /// @test 3.1 - Should let the owner change the fee given to new pools
+    it("3.1 - Should let the owner change the fee given to new pools", async function () {
+        const { owner, m10, cr7, factory } = await loadFixture(deployFixture);
+
+        await expect(factory.connect(owner).setDefaultSwapFee(50))
+            .to.emit(factory, "DefaultSwapFeeUpdated")
+            .withArgs(DEFAULT_SWAP_FEE, 50);
+
+        await factory.createPair(await m10.getAddress(), await cr7.getAddress());
+        const pair = await ethers.getContractAt("SimpleSwap", await factory.allPairs(0));
+
+        expect(await pair.swapFee()).to.equal(50);
+    });
+
+    /// @test 3.2 - Should revert if a non-owner changes the default fee
+    it("3.2 - Should revert if a non-owner changes the default fee", async function () {
+        const { user1, factory } = await loadFixture(deployFixture);
+
+        await expect(factory.connect(user1).setDefaultSwapFee(50))
+            .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount")
+            .withArgs(await user1.getAddress());
+    });
+
+    /// @test 3.3 - Should reject a default fee above the pool's MAX_SWAP_FEE
+    it("3.3 - Should reject a default fee above the pool's MAX_SWAP_FEE", async function () {
+        const { owner, m10, cr7, factory } = await loadFixture(deployFixture);
+
+        const Factory = await ethers.getContractFactory("SimpleSwapFactory");
+        const pool = await ethers.deployContract("SimpleSwap", [
+            await m10.getAddress(), await cr7.getAddress(), DEFAULT_SWAP_FEE, await owner.getAddress(),
+        ]);
+        const maxFee = await pool.MAX_SWAP_FEE();
+
+        await expect(Factory.deploy(maxFee + 1n, await owner.getAddress()))
+            .to.be.revertedWithCustomError(factory, "FeeTooHigh")
+            .withArgs(maxFee + 1n, maxFee);
+        await expect(factory.connect(owner).setDefaultSwapFee(maxFee + 1n))
+            .to.be.revertedWithCustomError(factory, "FeeTooHigh")
+            .withArgs(maxFee + 1n, maxFee);
+
+        // The cap itself is accepted, and pools are still created with it
+        await factory.connect(owner).setDefaultSwapFee(maxFee);
+        await factory.createPair(await m10.getAddress(), await cr7.getAddress());
+        const pair = await ethers.getContractAt("SimpleSwap", await factory.allPairs(0));
+        expect(await pair.swapFee()).to.equal(maxFee);
+    });
+});
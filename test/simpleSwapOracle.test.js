@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwapOracle", function () {
+    /// @notice Swap fee used by the pool, in basis points (0.3%)
+    const SWAP_FEE = 30;
+
+    /// @notice Length of the oracle window in seconds
+    const WINDOW = 3600;
+
+    /**
+     * @notice Deploys M10, CR7 and a SimpleSwap pool seeded 1:1, plus an oracle on top of it.
+     * The attacker holds enough M10 to move the spot price by roughly 4x.
+     */
+    async function deployFixture() {
+        const [owner, attacker] = await ethers.getSigners();
+
+        const M10 = await ethers.getContractFactory("M10");
+        const CR7 = await ethers.getContractFactory("CR7");
+        const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+        const Oracle = await ethers.getContractFactory("SimpleSwapOracle");
+
+        const tokenA = await M10.deploy();
+        const tokenB = await CR7.deploy();
+        const swap = await SimpleSwap.deploy(
+            await tokenA.getAddress(),
+            await tokenB.getAddress(),
+            SWAP_FEE,
+            await owner.getAddress()
+        );
+
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 10 * WINDOW;
+
+        await tokenA.approve(swapAddress, ethers.parseEther("1000"));
+        await tokenB.approve(swapAddress, ethers.parseEther("1000"));
+        await swap.addLiquidity(
+            await tokenA.getAddress(),
+            await tokenB.getAddress(),
+            ethers.parseEther("1000"),
+            ethers.parseEther("1000"),
+            0,
+            0,
+            await owner.getAddress(),
+            deadline
+        );
+
+        const oracle = await Oracle.deploy(swapAddress, WINDOW);
+
+        await tokenA.transfer(await attacker.getAddress(), ethers.parseEther("1000"));
+        await tokenA.connect(attacker).approve(swapAddress, ethers.MaxUint256);
+
+        return { owner, attacker, tokenA, tokenB, swap, oracle, deadline };
+    }
+
+    //1. ACCUMULATOR TESTS
+
+    /// @test 1.1 - Should accumulate the spot price for every elapsed second
+    it("1.1 - Should accumulate the spot price for every elapsed second", async function () {
+        const { swap } = await loadFixture(deployFixture);
+
+        const [priceABefore, priceBBefore, timestampBefore] = await swap.currentCumulativePrices();
+        await time.increase(100);
+        const [priceAAfter, priceBAfter, timestampAfter] = await swap.currentCumulativePrices();
+
+        const elapsed = timestampAfter - timestampBefore;
+        expect(elapsed).to.equal(100);
+        expect(priceAAfter - priceABefore).to.equal(ethers.parseEther("1") * elapsed);
+        expect(priceBAfter - priceBBefore).to.equal(ethers.parseEther("1") * elapsed);
+    });
+
+    /// @test 1.2 - Should store the accumulators when the reserves change
+    it("1.2 - Should store the accumulators when the reserves change", async function () {
+        const { attacker, tokenA, tokenB, swap, deadline } = await loadFixture(deployFixture);
+
+        await time.increase(50);
+        await swap.connect(attacker).swapExactTokensForTokens(
+            ethers.parseEther("1"),
+            0,
+            [await tokenA.getAddress(), await tokenB.getAddress()],
+            await attacker.getAddress(),
+            deadline
+        );
+
+        const [priceACumulative, , blockTimestamp] = await swap.currentCumulativePrices();
+
+        expect(await swap.blockTimestampLast()).to.equal(blockTimestamp);
+        expect(await swap.priceACumulativeLast()).to.equal(priceACumulative);
+    });
+
+    //2. ORACLE TESTS
+
+    /// @test 2.1 - Should revert if updated before the window has elapsed
+    it("2.1 - Should revert if updated before the window has elapsed", async function () {
+        const { oracle } = await loadFixture(deployFixture);
+
+        await time.increase(WINDOW / 2);
+
+        await expect(oracle.update()).to.be.revertedWithCustomError(oracle, "WindowNotElapsed");
+    });
+
+    /// @test 2.2 - Should return the average price once the window has elapsed
+    it("2.2 - Should return the average price once the window has elapsed", async function () {
+        const { tokenA, tokenB, oracle } = await loadFixture(deployFixture);
+
+        await expect(oracle.consult(await tokenA.getAddress(), 1000)).to.be.revertedWithCustomError(oracle, "NotUpdated");
+
+        await time.increase(WINDOW);
+        await expect(oracle.update()).to.emit(oracle, "OracleUpdated");
+
+        expect(await oracle.priceAAverage()).to.equal(ethers.parseEther("1"));
+        expect(await oracle.consult(await tokenA.getAddress(), ethers.parseEther("5"))).to.equal(ethers.parseEther("5"));
+        expect(await oracle.consult(await tokenB.getAddress(), ethers.parseEther("5"))).to.equal(ethers.parseEther("5"));
+    });
+
+    /// @test 2.3 - Should revert when consulting a token outside the pool
+    it("2.3 - Should revert when consulting a token outside the pool", async function () {
+        const { oracle } = await loadFixture(deployFixture);
+
+        await time.increase(WINDOW);
+        await oracle.update();
+
+        await expect(oracle.consult(ethers.ZeroAddress, 1000)).to.be.revertedWithCustomError(oracle, "InvalidToken");
+    });
+
+    /// @test 2.4 - Should barely move the TWAP when the spot price is manipulated for one block
+    it("2.4 - Should barely move the TWAP when the spot price is manipulated for one block", async function () {
+        const { attacker, tokenA, tokenB, swap, oracle, deadline } = await loadFixture(deployFixture);
+
+        const spotBefore = await swap.getPrice(await tokenA.getAddress(), await tokenB.getAddress());
+
+        // Price stays 1:1 for almost the whole window, then the attacker dumps M10 right before the update
+        await time.increase(WINDOW - 12);
+        await swap.connect(attacker).swapExactTokensForTokens(
+            ethers.parseEther("1000"),
+            0,
+            [await tokenA.getAddress(), await tokenB.getAddress()],
+            await attacker.getAddress(),
+            deadline
+        );
+        const spotManipulated = await swap.getPrice(await tokenA.getAddress(), await tokenB.getAddress());
+
+        await time.increase(12);
+        await oracle.update();
+        const twap = await oracle.priceAAverage();
+
+        // Spot price dropped by about 75%...
+        expect(spotManipulated).to.be.lessThan(spotBefore * 30n / 100n);
+        // ...while the TWAP moved by less than 1%
+        expect(twap).to.be.greaterThan(spotBefore * 99n / 100n);
+        expect(twap).to.be.lessThanOrEqual(spotBefore);
+    });
+});
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwap reentrancy", function () {
+    /// @notice Swap fee used by the pool, in basis points (0.3%)
+    const SWAP_FEE = 30;
+
+    /**
+     * @notice Deploys a ReentrantToken (RNT) / CR7 pool seeded 1:1 by the owner.
+     * user1 holds RNT and CR7 with max approvals; the hook is armed inside each test.
+     */
+    async function deployFixture() {
+        const [owner, user1] = await ethers.getSigners();
+
+        const ReentrantToken = await ethers.getContractFactory("ReentrantToken");
+        const CR7 = await ethers.getContractFactory("CR7");
+        const SimpleSwap = await ethers.getContractFactory("SimpleSwap");
+
+        const rnt = await ReentrantToken.deploy();
+        const cr7 = await CR7.deploy();
+        const swap = await SimpleSwap.deploy(
+            await rnt.getAddress(),
+            await cr7.getAddress(),
+            SWAP_FEE,
+            await owner.getAddress()
+        );
+
+        const swapAddress = await swap.getAddress();
+        const deadline = (await time.latest()) + 3600;
+        const lpToken = await ethers.getContractAt("LPToken", await swap.lpToken());
+
+        await rnt.approve(swapAddress, ethers.MaxUint256);
+        await cr7.approve(swapAddress, ethers.MaxUint256);
+        await lpToken.approve(swapAddress, ethers.MaxUint256);
+        await swap.addLiquidity(
+            await rnt.getAddress(),
+            await cr7.getAddress(),
+            ethers.parseEther("1000"),
+            ethers.parseEther("1000"),
+            0,
+            0,
+            await owner.getAddress(),
+            deadline
+        );
+
+        await rnt.transfer(await user1.getAddress(), ethers.parseEther("100"));
+        await cr7.transfer(await user1.getAddress(), ethers.parseEther("100"));
+        await rnt.connect(user1).approve(swapAddress, ethers.MaxUint256);
+        await cr7.connect(user1).approve(swapAddress, ethers.MaxUint256);
+
+        return { owner, user1, rnt, cr7, swap, lpToken, deadline };
+    }
+
+    /// @notice Arms the RNT hook with a call to the pool
+    async function armHook(rnt, swap, functionName, args) {
+        await rnt.setHook(await swap.getAddress(), swap.interface.encodeFunctionData(functionName, args));
+    }
+
+    //1. REENTRANT CALL TESTS
+
+    /// @test 1.1 - Should revert a swap re-entered while the input is pulled
+    it("1.1 - Should revert a swap re-entered while the input is pulled", async function () {
+        const { user1, rnt, cr7, swap, deadline } = await loadFixture(deployFixture);
+
+        const path = [await rnt.getAddress(), await cr7.getAddress()];
+        const user1Address = await user1.getAddress();
+
+        await armHook(rnt, swap, "swapExactTokensForTokens", [ethers.parseEther("1"), 0, path, user1Address, deadline]);
+
+        await expect(
+            swap.connect(user1).swapExactTokensForTokens(ethers.parseEther("1"), 0, path, user1Address, deadline)
+        ).to.be.revertedWithCustomError(swap, "ReentrancyGuardReentrantCall");
+    });
+
+    /// @test 1.2 - Should revert a removal re-entered while the output is sent
+    it("1.2 - Should revert a removal re-entered while the output is sent", async function () {
+        const { owner, rnt, cr7, swap, deadline } = await loadFixture(deployFixture);
+
+        const rntAddress = await rnt.getAddress();
+        const cr7Address = await cr7.getAddress();
+        const ownerAddress = await owner.getAddress();
+        const liquidity = ethers.parseEther("10");
+
+        await armHook(rnt, swap, "removeLiquidity", [rntAddress, cr7Address, liquidity, 0, 0, ownerAddress, deadline]);
+
+        await expect(
+            swap.removeLiquidity(rntAddress, cr7Address, liquidity, 0, 0, ownerAddress, deadline)
+        ).to.be.revertedWithCustomError(swap, "ReentrancyGuardReentrantCall");
+    });
+
+    /// @test 1.3 - Should revert a low-level swap re-entered from a deposit
+    it("1.3 - Should revert a low-level swap re-entered from a deposit", async function () {
+        const { user1, rnt, cr7, swap, deadline } = await loadFixture(deployFixture);
+
+        const user1Address = await user1.getAddress();
+
+        await armHook(rnt, swap, "swap", [0, ethers.parseEther("1"), user1Address, "0x"]);
+
+        await expect(
+            swap.connect(user1).addLiquidity(
+                await rnt.getAddress(), await cr7.getAddress(),
+                ethers.parseEther("10"), ethers.parseEther("10"), 0, 0, user1Address, deadline
+            )
+        ).to.be.revertedWithCustomError(swap, "ReentrancyGuardReentrantCall");
+    });
+
+    /// @test 1.4 - Should revert sync and skim re-entered from an exact-output swap
+    it("1.4 - Should revert sync and skim re-entered from an exact-output swap", async function () {
+        const { user1, rnt, cr7, swap, deadline } = await loadFixture(deployFixture);
+
+        const user1Address = await user1.getAddress();
+        // CR7 -> RNT, so the hook fires while the pool sends RNT out
+        const path = [await cr7.getAddress(), await rnt.getAddress()];
+
+        for (const [functionName, args] of [["sync", []], ["skim", [user1Address]]]) {
+            await armHook(rnt, swap, functionName, args);
+
+            await expect(
+                swap.connect(user1).swapTokensForExactTokens(
+                    ethers.parseEther("1"), ethers.parseEther("2"), path, user1Address, deadline
+                )
+            ).to.be.revertedWithCustomError(swap, "ReentrancyGuardReentrantCall");
+        }
+    });
+
+    //2. CHECKS-EFFECTS-INTERACTIONS TESTS
+
+    /// @test 2.1 - Should let the hook call the pool outside of a pool transaction
+    it("2.1 - Should let the hook call the pool outside of a pool transaction", async function () {
+        const { owner, user1, rnt, swap } = await loadFixture(deployFixture);
+
+        // A donation followed by a plain transfer: the hook's sync goes through and absorbs it
+        await rnt.transfer(await swap.getAddress(), ethers.parseEther("5"));
+        await armHook(rnt, swap, "sync", []);
+        await rnt.connect(owner).transfer(await user1.getAddress(), 1);
+
+        expect(await swap.reserveA()).to.equal(ethers.parseEther("1005"));
+    });
+
+    /// @test 2.2 - Should write the reserves before sending tokens on a removal
+    it("2.2 - Should write the reserves before sending tokens on a removal", async function () {
+        const { owner, rnt, cr7, swap, deadline } = await loadFixture(deployFixture);
+
+        const liquidity = ethers.parseEther("100");
+
+        // The hook only reads reserveA, which a view call can do without tripping the guard
+        await armHook(rnt, swap, "reserveA", []);
+        await swap.removeLiquidity(
+            await rnt.getAddress(), await cr7.getAddress(), liquidity, 0, 0, await owner.getAddress(), deadline
+        );
+
+        const [reserveSeenByHook] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], await rnt.lastReturnData());
+        expect(reserveSeenByHook).to.equal(ethers.parseEther("900"));
+        expect(await swap.reserveA()).to.equal(reserveSeenByHook);
+    });
+
+    /// @test 2.3 - Should write the reserves before sending tokens on a swap
+    it("2.3 - Should write the reserves before sending tokens on a swap", async function () {
+        const { user1, rnt, cr7, swap, deadline } = await loadFixture(deployFixture);
+
+        const amountIn = ethers.parseEther("10");
+        const amountOut = await swap.getAmountOut(amountIn, await swap.reserveB(), await swap.reserveA());
+
+        await armHook(rnt, swap, "reserveA", []);
+        await swap.connect(user1).swapExactTokensForTokens(
+            amountIn, 0, [await cr7.getAddress(), await rnt.getAddress()], await user1.getAddress(), deadline
+        );
+
+        const [reserveSeenByHook] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], await rnt.lastReturnData());
+        expect(reserveSeenByHook).to.equal(ethers.parseEther("1000") - amountOut);
+    });
+});
@@ -0,0 +1,232 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwapRouter", function () {
+    /// @notice Swap fee given to every pool, in basis points (0.3%)
+    const DEFAULT_SWAP_FEE = 30;
+
+    /**
+     * @notice Deploys M10, CR7 and an intermediate token X, a factory with M10/X and X/CR7 pools
+     * seeded with liquidity, and the router. user1 holds M10 and has approved only the router.
+     */
+    async function deployFixture() {
+        const [owner, user1] = await ethers.getSigners();
+
+        const M10 = await ethers.getContractFactory("M10");
+        const CR7 = await ethers.getContractFactory("CR7");
+        const Factory = await ethers.getContractFactory("SimpleSwapFactory");
+        const Router = await ethers.getContractFactory("SimpleSwapRouter");
+
+        const m10 = await M10.deploy();
+        const cr7 = await CR7.deploy();
+        const tokenX = await CR7.deploy();
+
+        const factory = await Factory.deploy(DEFAULT_SWAP_FEE, await owner.getAddress());
+        const router = await Router.deploy(await factory.getAddress());
+
+        const m10Address = await m10.getAddress();
+        const cr7Address = await cr7.getAddress();
+        const tokenXAddress = await tokenX.getAddress();
+        const ownerAddress = await owner.getAddress();
+        const deadline = (await time.latest()) + 3600;
+
+        // Seed M10/X at 1:2 and X/CR7 at 1:1
+        for (const [token0, amount0, token1, amount1] of [
+            [m10, ethers.parseEther("1000"), tokenX, ethers.parseEther("2000")],
+            [tokenX, ethers.parseEther("3000"), cr7, ethers.parseEther("3000")],
+        ]) {
+            const address0 = await token0.getAddress();
+            const address1 = await token1.getAddress();
+            await factory.createPair(address0, address1);
+
+            const pool = await ethers.getContractAt("SimpleSwap", await factory.getPair(address0, address1));
+            const poolAddress = await pool.getAddress();
+            await token0.approve(poolAddress, amount0);
+            await token1.approve(poolAddress, amount1);
+
+            const [amountA, amountB] = (await pool.tokenA()) === address0 ? [amount0, amount1] : [amount1, amount0];
+            await pool.addLiquidity(await pool.tokenA(), await pool.tokenB(), amountA, amountB, 0, 0, ownerAddress, deadline);
+        }
+
+        await m10.transfer(await user1.getAddress(), ethers.parseEther("100"));
+        await m10.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+
+        const path = [m10Address, tokenXAddress, cr7Address];
+
+        return { owner, user1, m10, cr7, tokenX, factory, router, path };
+    }
+
+    //1. QUOTE TESTS
+
+    /// @test 1.1 - Should chain getAmountOut of every pool along the path
+    it("1.1 - Should chain getAmountOut of every pool along the path", async function () {
+        const { factory, router, path } = await loadFixture(deployFixture);
+
+        const amountIn = ethers.parseEther("10");
+        const amounts = await router.getAmountsOut(amountIn, path);
+
+        let expected = amountIn;
+        for (let i = 0; i < path.length - 1; i++) {
+            const pool = await ethers.getContractAt("SimpleSwap", await factory.getPair(path[i], path[i + 1]));
+            const forward = (await pool.tokenA()) === path[i];
+            const [reserveIn, reserveOut] = forward
+                ? [await pool.reserveA(), await pool.reserveB()]
+                : [await pool.reserveB(), await pool.reserveA()];
+            expected = await pool.getAmountOut(expected, reserveIn, reserveOut);
+            expect(amounts[i + 1]).to.equal(expected);
+        }
+        expect(amounts[0]).to.equal(amountIn);
+    });
+
+    /// @test 1.2 - Should quote an input that covers the wanted output
+    it("1.2 - Should quote an input that covers the wanted output", async function () {
+        const { router, path } = await loadFixture(deployFixture);
+
+        const amountOut = ethers.parseEther("15");
+        const amountsIn = await router.getAmountsIn(amountOut, path);
+        const amountsOut = await router.getAmountsOut(amountsIn[0], path);
+
+        expect(amountsIn[path.length - 1]).to.equal(amountOut);
+        expect(amountsOut[path.length - 1]).to.be.greaterThanOrEqual(amountOut);
+    });
+
+    /// @test 1.3 - Should revert on short paths and hops without a pool
+    it("1.3 - Should revert on short paths and hops without a pool", async function () {
+        const { m10, cr7, router } = await loadFixture(deployFixture);
+
+        await expect(router.getAmountsOut(1000, [await m10.getAddress()])).to.be.revertedWithCustomError(router, "InvalidPath");
+        await expect(router.getAmountsIn(1000, [])).to.be.revertedWithCustomError(router, "InvalidPath");
+        await expect(
+            router.getAmountsOut(1000, [await m10.getAddress(), await cr7.getAddress()])
+        ).to.be.revertedWithCustomError(router, "PairMissing");
+    });
+
+    //2. SWAP TESTS
+
+    /// @test 2.1 - Should swap M10 -> X -> CR7 with a single approval to the router
+    it("2.1 - Should swap M10 -> X -> CR7 with a single approval to the router", async function () {
+        const { user1, m10, cr7, tokenX, router, path } = await loadFixture(deployFixture);
+
+        const user1Address = await user1.getAddress();
+        const routerAddress = await router.getAddress();
+        const amountIn = ethers.parseEther("10");
+        const amounts = await router.getAmountsOut(amountIn, path);
+        const deadline = (await time.latest()) + 3600;
+
+        await expect(
+            router.connect(user1).swapExactTokensForTokens(amountIn, amounts[2], path, user1Address, deadline)
+        ).to.changeTokenBalances(cr7, [user1], [amounts[2]]);
+
+        expect(await m10.balanceOf(user1Address)).to.equal(ethers.parseEther("90"));
+        expect(await m10.balanceOf(routerAddress)).to.equal(0);
+        expect(await tokenX.balanceOf(routerAddress)).to.equal(0);
+        expect(await cr7.balanceOf(routerAddress)).to.equal(0);
+    });
+
+    /// @test 2.2 - Should revert if the final output is below amountOutMin
+    it("2.2 - Should revert if the final output is below amountOutMin", async function () {
+        const { user1, router, path } = await loadFixture(deployFixture);
+
+        const amountIn = ethers.parseEther("10");
+        const amounts = await router.getAmountsOut(amountIn, path);
+        const deadline = (await time.latest()) + 3600;
+
+        await expect(
+            router.connect(user1).swapExactTokensForTokens(
+                amountIn, amounts[2] + 1n, path, await user1.getAddress(), deadline
+            )
+        ).to.be.revertedWithCustomError(router, "InsufficientOutputAmount").withArgs(amounts[2], amounts[2] + 1n);
+    });
+
+    /// @test 2.3 - Should deliver an exact output across the path and charge getAmountsIn
+    it("2.3 - Should deliver an exact output across the path and charge getAmountsIn", async function () {
+        const { user1, m10, cr7, tokenX, router, path } = await loadFixture(deployFixture);
+
+        const amountOut = ethers.parseEther("5");
+        const amounts = await router.getAmountsIn(amountOut, path);
+        const deadline = (await time.latest()) + 3600;
+
+        await expect(
+            router.connect(user1).swapTokensForExactTokens(amountOut, amounts[0], path, await user1.getAddress(), deadline)
+        ).to.changeTokenBalances(m10, [user1], [-amounts[0]]);
+
+        expect(await cr7.balanceOf(await user1.getAddress())).to.equal(amountOut);
+        expect(await tokenX.balanceOf(await router.getAddress())).to.equal(0);
+    });
+
+    /// @test 2.4 - Should revert if the required input exceeds amountInMax
+    it("2.4 - Should revert if the required input exceeds amountInMax", async function () {
+        const { user1, router, path } = await loadFixture(deployFixture);
+
+        const amountOut = ethers.parseEther("5");
+        const amounts = await router.getAmountsIn(amountOut, path);
+        const deadline = (await time.latest()) + 3600;
+
+        await expect(
+            router.connect(user1).swapTokensForExactTokens(
+                amountOut, amounts[0] - 1n, path, await user1.getAddress(), deadline
+            )
+        ).to.be.revertedWithCustomError(router, "ExcessiveInputAmount").withArgs(amounts[0], amounts[0] - 1n);
+    });
+
+    /// @test 2.5 - Should revert if the deadline has already passed
+    it("2.5 - Should revert if the deadline has already passed", async function () {
+        const { user1, router, path } = await loadFixture(deployFixture);
+
+        const deadline = (await time.latest()) - 1;
+
+        await expect(
+            router.connect(user1).swapExactTokensForTokens(1000, 0, path, await user1.getAddress(), deadline)
+        ).to.be.revertedWithCustomError(router, "Expired");
+    });
+
+    //3. FEE-ON-TRANSFER TESTS
+
+    /// @test 3.1 - Should route through a fee-on-transfer token with the supporting variant
+    it("3.1 - Should route through a fee-on-transfer token with the supporting variant", async function () {
+        const { owner, user1, m10, cr7, factory, router } = await loadFixture(deployFixture);
+
+        const FeeOnTransferToken = await ethers.getContractFactory("FeeOnTransferToken");
+        const fot = await FeeOnTransferToken.deploy();
+
+        const fotAddress = await fot.getAddress();
+        const m10Address = await m10.getAddress();
+        const cr7Address = await cr7.getAddress();
+        const ownerAddress = await owner.getAddress();
+        const deadline = (await time.latest()) + 3600;
+
+        // Seed M10/FOT and FOT/CR7
+        for (const other of [m10, cr7]) {
+            const otherAddress = await other.getAddress();
+            await factory.createPair(otherAddress, fotAddress);
+
+            const pool = await ethers.getContractAt("SimpleSwap", await factory.getPair(otherAddress, fotAddress));
+            const poolAddress = await pool.getAddress();
+            await other.approve(poolAddress, ethers.MaxUint256);
+            await fot.approve(poolAddress, ethers.MaxUint256);
+            await pool.addLiquidity(
+                await pool.tokenA(), await pool.tokenB(),
+                ethers.parseEther("1000"), ethers.parseEther("1000"), 0, 0, ownerAddress, deadline
+            );
+        }
+
+        const path = [m10Address, fotAddress, cr7Address];
+        const amountIn = ethers.parseEther("10");
+
+        // The fee-unaware quote is unreachable, since 1% is burned on each FOT transfer
+        const quote = (await router.getAmountsOut(amountIn, path))[2];
+        await expect(
+            router.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn, quote, path, await user1.getAddress(), deadline
+            )
+        ).to.be.revertedWithCustomError(router, "InsufficientOutputAmount");
+
+        await router.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            amountIn, quote * 97n / 100n, path, await user1.getAddress(), deadline
+        );
+
+        expect(await cr7.balanceOf(await user1.getAddress())).to.be.greaterThanOrEqual(quote * 97n / 100n);
+        expect(await fot.balanceOf(await router.getAddress())).to.equal(0);
+    });
+});